@@ -4,8 +4,9 @@
  * @public
  * @param {Element} context Gallery context Element
  * @param {String[]} images Images URLs
+ * @param {Object} options Gallery options
  */
-var Gallery = function (context, images) {
+var Gallery = function (context, images, options) {
     "use strict";
 
     var gallery = this,
@@ -15,17 +16,23 @@ var Gallery = function (context, images) {
         blankKey = " ",
         srcKey = "src",
         altKey = "alt",
-        prevKey = "previous",
-        activeKey = "active",
-        nextKey = "next",
-        cssActiveX = "--" + activeKey + "-x",
-        cssPreviousX = "--" + prevKey + "-x",
-        cssNextX = "--" + nextKey + "-x",
+        classNames = (options && options.classNames) || {},
+        prevKey = classNames.previous || "previous",
+        activeKey = classNames.active || "active",
+        nextKey = classNames.next || "next",
+        controlKey = classNames.control || "control",
         transformKey = "transform",
         styleKey = "style",
+        ariaHiddenKey = "aria-hidden",
+        currentKey = "current",
+        loadingKey = "loading",
+        errorKey = "error",
+        disabledKey = "disabled",
+        zoomedKey = "zoomed",
         prevQuery = dotKey + prevKey,
         activeQuery = dotKey + activeKey,
         nextQuery = dotKey + nextKey,
+        controlQuery = dotKey + controlKey,
         passive = {
             passive: true
         },
@@ -125,17 +132,18 @@ var Gallery = function (context, images) {
         },
 
         /**
-         * Replaces the first matching criteria found
-         * on a string with a given value
-         * 
+         * Copies the own properties of a source Object into a target Object
+         *
          * @private
-         * @param {String} strTo String to replace
-         * @param {String | RegExp} match Match criteria
-         * @param {String} val Value to set
-         * @return {String} String replaced
+         * @param {Object} target Target Object
+         * @param {Object} source Source Object
+         * @return {Object} Target Object
          */
-        replace = function(strTo, match, val) {
-            return strTo.replace(match, val);
+        extend = function(target, source) {
+            Object.keys(source || {}).forEach(function(key) {
+                target[key] = source[key];
+            });
+            return target;
         },
 
         /**
@@ -196,10 +204,11 @@ var Gallery = function (context, images) {
         addEvent = function(elm, eventName, fn, options) {
             if (!Array.isArray(elm)) {
                 elm.addEventListener(eventName, fn, options);
+                listeners.push([elm, eventName, fn, options]);
                 return;
             }
             elm.forEach(function(e) {
-                e.addEventListener(eventName, fn, options);
+                addEvent(e, eventName, fn, options);
             });
         },
 
@@ -212,7 +221,54 @@ var Gallery = function (context, images) {
          * @param {Function} fn Function to wait         
          */
         reqFrame = function(fn) {
-            requestAnimationFrame(fn);
+            var id = requestAnimationFrame(function() {
+                delete frames[id];
+                fn();
+            });
+            frames[id] = true;
+        },
+
+        /**
+         * Executes a Function after a certain amount of time, keeping
+         * track of it so it can be cancelled when the Gallery is destroyed
+         *
+         * @private
+         * @param {Function} fn Function to execute
+         * @param {Number} ms Time in milliseconds
+         * @return {Number} Timeout Id
+         */
+        wait = function(fn, ms) {
+            var id = setTimeout(function() {
+                delete timeouts[id];
+                fn();
+            }, ms);
+            timeouts[id] = true;
+            return id;
+        },
+
+        /**
+         * Cancels a Function waiting to be executed
+         *
+         * @private
+         * @param {Number} id Timeout Id
+         */
+        cancelWait = function(id) {
+            clearTimeout(id);
+            delete timeouts[id];
+        },
+
+        /**
+         * Keeps the current values of some Attributes of an Element
+         * so they can be restored when the Gallery is destroyed
+         *
+         * @private
+         * @param {Element} elm Element
+         * @param {String[]} attrs Attributes' names
+         */
+        backupAttrs = function(elm, attrs) {
+            attrs.forEach(function(attr) {
+                attrBackups.push([elm, attr, getAttr(elm, attr)]);
+            });
         },
 
         /**
@@ -238,40 +294,84 @@ var Gallery = function (context, images) {
         },
 
         /**
-         * Gets the Touch's X value
+         * Checks if the Gallery moves on the Y axis instead of the X axis
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isVertical = function() {
+            return settings.orientation === "vertical";
+        },
+
+        /**
+         * Gets the text direction of the Gallery from the dir attribute
+         * of its context or its closest ancestor having one
+         *
+         * @private
+         * @return {String} "ltr" or "rtl"
+         */
+        getDirection = function() {
+            var dirElm = context.closest("[dir]");
+            return dirElm && getAttr(dirElm, "dir").toLowerCase() === "rtl" ? "rtl" : "ltr";
+        },
+
+        /**
+         * Gets the key of the arrow moving the Gallery to the Next or the Previous image,
+         * the horizontal arrows are swapped in right to left Galleries
+         *
+         * @private
+         * @param {Boolean} forward If true the key of the Next image otherwise the Previous one
+         * @return {String} Key
+         */
+        getArrowKey = function(forward) {
+            if (isVertical()) return forward ? "ArrowDown" : "ArrowUp";
+            return forward === (dirSign > 0) ? "ArrowRight" : "ArrowLeft";
+        },
+
+        /**
+         * Gets the Touch's or Pointer's X value, mirrored in right to left Galleries,
+         * or its Y value when the Gallery is vertical
          * 
          * @private
-         * @param {Touch} touch Touch
+         * @param {Touch | PointerEvent} touch Touch or PointerEvent
          * @return {Number} X value
          */
         getTouchX = function(touch) {
-            return touch.screenX;
+            return isVertical() ? touch.screenY : touch.screenX * dirSign;
         },
 
         /**
-         * Gets the Width of an Image
+         * Gets the Width of an Image,
+         * or its Height when the Gallery is vertical
          * 
          * @private
          * @param {Image} img Image
          * @return {Number} Width
          */
         getImgWidth = function(img) {
+            if (isVertical()) {
+                return img.height || img.offsetHeight;
+            }
             return img.width || img.offsetWidth;
         },
 
         /**
-         * Sets an X value to an Image
+         * Sets an X value to an Image,
+         * or an Y value when the Gallery is vertical
          * 
          * @private
          * @param {Image} img Image
          * @param {Number} x X value
          */
         setImgX = function(img, x) {
-            getStyles(img).transform = "translateX(" + x + "px) translateY(-50%)";
+            getStyles(img).transform = (isVertical() ?
+                "translateY(" + x + "px)" :
+                "translateX(" + x * dirSign + "px) translateY(-50%)") + getZoomTransform(img);
         },
 
         /**
-         * Gets the X value of an Image
+         * Gets the X value of an Image,
+         * or its Y value when the Gallery is vertical
          * 
          * @private
          * @param {Image} img Image
@@ -280,7 +380,7 @@ var Gallery = function (context, images) {
         getImgX = function(img) {
             if (getStyles(img).transform) {
                 var match = getStyles(img).transform.match(/-?\d+/);
-                return match[0] ? parseFloat(match[0]) : 0;
+                return match[0] ? parseFloat(match[0]) * dirSign : 0;
             }
             return 0;
         },
@@ -350,19 +450,37 @@ var Gallery = function (context, images) {
          * @param {Number} seconds Time in seconds
          */
         setAnimationTime = function(img, attr, seconds) {
-            getStyles(img).transition = attr + blankKey + seconds + "s";
+            getStyles(img).transition = attr.split(",").map(function(prop) {
+                return prop.trim() + blankKey + seconds + "s";
+            }).join(", ");
         },
 
         /**
-         * Sets the X movement animation time of the Gallery images
+         * Sets the X movement animation time of the Gallery images,
+         * for the properties animated by the transition effect
          * 
          * @private
          * @param {Number} seconds Time in Seconds         
          */
         setXAnimationTime = function(seconds) {
-            setAnimationTime(query(prevQuery), transformKey, seconds);
-            setAnimationTime(query(activeQuery), transformKey, seconds);
-            setAnimationTime(query(nextQuery), transformKey, seconds);
+            var props = effect.properties || transformKey;
+            setAnimationTime(query(prevQuery), props, seconds);
+            setAnimationTime(query(activeQuery), props, seconds);
+            setAnimationTime(query(nextQuery), props, seconds);
+        },
+
+        /**
+         * Gets the state handed to the transition effect
+         *
+         * @private
+         * @param {Object} state State values
+         * @return {Object} State including the Gallery orientation and a translate helper
+         */
+        getEffectState = function(state) {
+            return extend({
+                vertical: isVertical(),
+                translate: setImgX
+            }, state);
         },
 
         /**
@@ -376,247 +494,2586 @@ var Gallery = function (context, images) {
         },
 
         /**
-         * Gets the associated image of an image
+         * Checks if an Element is a Video
          *
-         * @param {Image | HTMLDivElement} imgElm Image Element
-         * @return {Image | HTMLDivElement} Associated Image
+         * @private
+         * @param  {Image | HTMLDivElement | HTMLVideoElement} img Image Element
+         * @return {Boolean} Result
          */
-        getAssociatedImage = function(imgElm) {
-            return imgElm[(isImage(imgElm) ? "spherical" : "regular") + "Image"];
+        isVideo = function(img) {
+            return (img instanceof HTMLVideoElement);
         },
 
         /**
-         * Check is the Gallery image in the index
-         * is of the needed type in order to change it
-         * 
+         * Gets the type of a Gallery image: regular, spherical or video
+         *
          * @private
-         * @param {Image | HTMLDivElement} imgElm Image Element
-         * @param {Number} index Gallery Index to check
-         * @return {Image | HTMLDivElement} Image Element
+         * @param {Object} image Gallery image
+         * @return {String} Type
          */
-        tryToggleImageType = function(imgElm, index) {
-            var image = gallery.images[index];
-            if (isImage(imgElm) && !image.isSpherical) return imgElm;
-            if (hasClass(imgElm, "o-viewer") && image.isSpherical) return imgElm;
-            var newImage = getAssociatedImage(imgElm);
-            imgElm.parentNode.replaceChild(newImage, imgElm);
-            return newImage;
+        getImageType = function(image) {
+            if (image.type === "video") return "video";
+            return image.isSpherical && panoramaReady && !flatPanoramas[image.url] ? "spherical" : "regular";
         },
 
         /**
-         * Sets the source to a regular Image or an Spherical Image
-         * 
+         * Gets the type of image an Element paints
+         *
          * @private
-         * @param {Image | HTMLDivElement} imgElm Image Element
-         * @param {String} src Source
+         * @param {Image | HTMLDivElement | HTMLVideoElement} imgElm Image Element
+         * @return {String} Type
          */
-        setSrc = function(imgElm, src) {
-            setAttr(imgElm, (isImage(imgElm) ? "" : "data-") + srcKey, src);
+        getElementType = function(imgElm) {
+            if (isImage(imgElm)) return "regular";
+            return isVideo(imgElm) ? "video" : "spherical";
         },
 
         /**
-         * Sets the alternative text or title to a regular Image or an Spherical Image
-         * 
+         * Gets the associated image of an image, the Element
+         * painting the images of a type in the same place
+         *
+         * @param {Image | HTMLDivElement | HTMLVideoElement} imgElm Image Element
+         * @param {String} type Type of the associated image, by default the spherical or regular one
+         * @return {Image | HTMLDivElement | HTMLVideoElement} Associated Image
+         */
+        getAssociatedImage = function(imgElm, type) {
+            var regular = isImage(imgElm) ? imgElm : imgElm.regularImage;
+            type = type || (isImage(imgElm) ? "spherical" : "regular");
+            return type === "regular" ? regular : regular[type + "Image"];
+        },
+
+        /**
+         * Gets the Elements painting the images in the same place than an Element, of every type
+         *
          * @private
-         * @param {Image | HTMLDivElement} imgElm Image Element
-         * @param {String} alt Alt text
+         * @param {Image | HTMLDivElement | HTMLVideoElement} imgElm Image Element
+         * @return {Element[]} Elements
          */
-        setAlt = function(imgElm, alt) {
-            setAttr(imgElm, (isImage(imgElm) ? altKey : "title"), alt);
+        getSlotElements = function(imgElm) {
+            return ["regular", "spherical", "video"].map(function(type) {
+                return getAssociatedImage(imgElm, type);
+            }).filter(Boolean);
         },
 
         /**
-         * Moves the Gallery to the Next image
+         * Check is the Gallery image in the index
+         * is of the needed type in order to change it
          * 
          * @private
-         * @param {Image | HTMLDivElement} prevImg Previous Image
-         * @param {Image | HTMLDivElement} activeImg Active Image         
-         * @param {Image | HTMLDivElement} nextImg Next Image
+         * @param {Image | HTMLDivElement | HTMLVideoElement} imgElm Image Element
+         * @param {Number} index Gallery Index to check
+         * @return {Image | HTMLDivElement | HTMLVideoElement} Image Element
          */
-        goNext = function(prevImg, activeImg, nextImg) {
-            var images = gallery.images;
-            index = ((index + 1) === images.length) ? 0 : (index + 1); // Update Index
+        tryToggleImageType = function(imgElm, index) {
+            var type = getImageType(gallery.images[index]);
+            if (getElementType(imgElm) === type) return imgElm;
 
             /**
-             * Clean Previous image src since it will become the Next image
-             * else when changing it to Next image it won't update
-             * its look until the new image has been loaded
+             * Spherical Elements only exist when the Gallery started with
+             * Spherical Images and its renderer loaded, otherwise paint the regular Image
              */
-            if (isImage(prevImg)) {
-                setAttr(prevImg, srcKey, "");
+            var newImage = getAssociatedImage(imgElm, type) || getAssociatedImage(imgElm, "regular");
+            if (newImage === imgElm) return imgElm;
+            if (isVideo(imgElm)) {
+                stopVideo(imgElm);
+            }
+            if (imgElm.panoramaImage) {
+                renderPanorama(imgElm);
             }
 
             /**
-             * Change the Previous image to become the Next image
-             */
-            var newNextIndex = ((index + 1) === images.length) ? 0 : (index + 1);
-
-            prevImg = tryToggleImageType(prevImg, newNextIndex);
-
-            setSrc(prevImg, images[newNextIndex].url);
-            setAlt(prevImg, images[newNextIndex].alt);
-
-            /**
-             * Update images relations
-             * Current Next -> New Active
-             * Current Active -> New Previous
-             * Current Previous -> New Next
+             * The Elements are painted before being inserted when the Gallery starts
              */
-            setAttr(nextImg, classKey, replace(getAttr(nextImg, classKey), nextKey, activeKey));
-            setAttr(activeImg, classKey, replace(getAttr(activeImg, classKey), activeKey, prevKey));
-            setAttr(prevImg, classKey, replace(getAttr(prevImg, classKey), prevKey, nextKey));
-            setAttr(prevImg, classKey, replace(getAttr(prevImg, classKey), activeKey, nextKey));
-
-            onChange(index, images[index]); // Run onChange event
+            if (imgElm.parentNode) {
+                imgElm.parentNode.replaceChild(newImage, imgElm);
+            }
+            return newImage;
         },
 
         /**
-         * Moves the Gallery to the Previous image
-         * 
+         * Creates the Video Element of a place of the Gallery
+         *
          * @private
-         * @param {Image | HTMLDivElement} prevImg Previous Image
-         * @param {Image | HTMLDivElement} activeImg Active Image         
-         * @param {Image | HTMLDivElement} nextImg Next Image
+         * @param {Image} regular Regular Image of the place
+         * @return {HTMLVideoElement} Video
          */
-        goPrev = function(prevImg, activeImg, nextImg) {
-            var images = gallery.images;
-            index = index - 1 < 0 ? images.length - 1 : index - 1; // Update Index
+        createVideo = function(regular) {
+            var video = createElm("video");
+            video.controls = true;
+            setAttr(video, "playsinline", "");
+            setAttr(video, "preload", "none");
+            addClass(video, "gallery-video");
+            video.regularImage = regular;
+            regular.videoImage = video;
+            createdElements.push(video);
+            return video;
+        },
 
-            /**
-             * Clean Next image src since it will become the Previous image
-             * else when changing it to Previous image it won't update
-             * its look until the new image has been loaded
-             */
-            if (isImage(prevImg)) {
-                setAttr(nextImg, srcKey, "");
+        /**
+         * Sets the poster, the sources and the captions of a Gallery video to a Video,
+         * without Gallery video they are removed
+         *
+         * @private
+         * @param {HTMLVideoElement} video Video
+         * @param {String} src Source, used when the Gallery video has no sources
+         * @param {Object} image Gallery video
+         */
+        setVideoSrc = function(video, src, image) {
+            image = image || {};
+            var sources = image.sources || [];
+            stopVideo(video);
+            video.textContent = "";
+            video.muted = !!(image.muted || image.autoplay); // Browsers only play by themselves the muted videos
+            setOptionalAttr(video, "poster", image.poster);
+            setOptionalAttr(video, srcKey, sources.length ? "" : src);
+            sources.forEach(function(source) {
+                var sourceElm = createElm("source");
+                setAttr(sourceElm, srcKey, source.src);
+                setOptionalAttr(sourceElm, "type", source.type);
+                insertAt(sourceElm, "beforeend", video);
+            });
+            (image.captions || []).forEach(function(caption) {
+                var track = createElm("track");
+                setAttr(track, "kind", caption.kind || "captions");
+                setAttr(track, srcKey, caption.src);
+                setOptionalAttr(track, "srclang", caption.srclang);
+                setOptionalAttr(track, "label", caption.label);
+                if (caption.default) {
+                    setAttr(track, "default", "");
+                }
+                insertAt(track, "beforeend", video);
+            });
+            if (sources.length && video.load) {
+                video.load(); // Changed source Elements are only picked up on load
             }
+        },
 
-            /**
-             * Change the Next image to become the Previous image
-             */
-            var newPrevIndex = index - 1 < 0 ? images.length - 1 : index - 1;
-
-            nextImg = tryToggleImageType(nextImg, newPrevIndex);
-
-            setSrc(nextImg, images[newPrevIndex].url);
-            setAlt(nextImg, images[newPrevIndex].alt);
+        /**
+         * Pauses a Video and sends it back to its start
+         *
+         * @private
+         * @param {HTMLVideoElement} video Video
+         */
+        stopVideo = function(video) {
+            if (!video.paused) {
+                video.pause();
+            }
+            if (video.currentTime) {
+                video.currentTime = 0;
+            }
+        },
 
-            /**
-             * Update images relations
-             * Current Previous -> New Active
-             * Current Active ->New Next
-             * Current Next -> New Previous
-             */
-            setAttr(prevImg, classKey, replace(getAttr(prevImg, classKey), prevKey, activeKey));
-            setAttr(activeImg, classKey, replace(getAttr(activeImg, classKey), activeKey, nextKey));
-            setAttr(nextImg, classKey, replace(getAttr(nextImg, classKey), nextKey, prevKey));
-            setAttr(nextImg, classKey, replace(getAttr(nextImg, classKey), activeKey, prevKey));
+        /**
+         * Shows again the controls of the video hidden while it was swiped
+         *
+         * @private
+         */
+        restoreControls = function() {
+            if (!hiddenControls) return;
+            hiddenControls.controls = true;
+            hiddenControls = getUndefined();
+        },
 
-            onChange(index, images[index]); // Run onChange event
+        /**
+         * Stops the Videos that are not active, and plays the active
+         * one when its Gallery video autoplays and the page is visible
+         *
+         * @private
+         */
+        updateVideos = function() {
+            [].forEach.call(queryAll("video"), function(video) {
+                var image = gallery.images[video.slideIndex];
+                if (!hasClass(video, activeKey)) {
+                    stopVideo(video);
+                } else if (image && image.autoplay && video.paused && doc.visibilityState !== "hidden") {
+                    var playing = video.play();
+                    if (playing && playing.catch) {
+                        playing.catch(function() {}); // The browser may not let it play by itself
+                    }
+                }
+            });
         },
 
         /**
-         * Sets the touchId property if this is undefined
-         * using the Touch of a TouchEvent and reduces
-         * the animation time of the Gallery to the minimum possible value
+         * Sets the source to a regular Image, an Spherical Image or a Video. The responsive
+         * sources of the Gallery image go along with it, a source without
+         * Gallery image (a placeholder or the fallback) is shown alone
          * 
          * @private
-         * @param {TouchEvent} event TouchEvent         
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @param {String} src Source
+         * @param {Object} image Gallery image
          */
-        registerTouch = function(event) {
-            if (!(isUndefined(touchId) && isUndefined(lastX) && touches === 0) || changeRunning) return;
-            touches++;
-            var touch = getTouch(event);
-            touchId = getTouchId(touch);
-            lastX = getTouchX(touch);
-            setXAnimationTime(0.000001);
+        setSrc = function(imgElm, src, image) {
+            if (isVideo(imgElm)) {
+                setVideoSrc(imgElm, src, image);
+                return;
+            }
+            if (getElementType(imgElm) === "spherical") {
+                renderPanorama(imgElm, image);
+                return;
+            }
+            if (isImage(imgElm)) {
+                setResponsiveSrc(imgElm, image);
+            }
+            setAttr(imgElm, srcKey, src);
         },
 
         /**
-         * Executes a go Function a certain amount of times
+         * Sets the alternative text or title to a regular Image or an Spherical Image, without one
+         * the Image gets an empty alt and the others no title, and the intrinsic size of the Gallery image so the layout does not shift while loading
          * 
-         * @private         
-         * @param {Function} goFn Go Function
-         * @param {Number} times Times to repeat
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @param {String} alt Alt text
+         * @param {Object} image Gallery image
          */
-        go = function(goFn, times) {
-            if (isUndefined(times) || isNaN(times)) {
-                times = 1;
+        setAlt = function(imgElm, alt, image) {
+            if (!isImage(imgElm)) {
+                setOptionalAttr(imgElm, "title", getText(alt));
+                return;
             }
-            goFn(query(prevQuery), query(activeQuery), query(nextQuery));
-            times--;
-            if (times) {
-                setTimeout(function() {
-                        go(goFn, times);
-                    },
-                    500);
+            setAttr(imgElm, altKey, getText(alt));
+            setOptionalAttr(imgElm, "width", image && image.width);
+            setOptionalAttr(imgElm, "height", image && image.height);
+        },
+
+        /**
+         * Sets a value to an Attribute of an Element, or removes
+         * the Attribute when there is no value
+         *
+         * @private
+         * @param {Element} elm Element
+         * @param {String} attr Attribute's name
+         * @param {String} value Value to set
+         */
+        setOptionalAttr = function(elm, attr, value) {
+            if (value === undefined || value === null || value === "") {
+                removeAttr(elm, attr);
+            } else {
+                setAttr(elm, attr, value);
             }
         },
 
         /**
-         * Defines a property to an Object
-         * 
-         * @private         
-         * @param {String} propName Property name
-         * @param {Function} getter Getter function
-         * @param {Function} setter Setter function
+         * Gets the Element placed in the Gallery for an image Element,
+         * its picture when it has format specific sources
+         *
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @return {Element} Element
          */
-        defineProp = function(propName, getter, setter) {
-            Object.defineProperty(gallery,
-                propName,
-                {
-                    get: getter,
-                    set: setter
-                });
+        getSlideBox = function(imgElm) {
+            var parent = imgElm.parentNode;
+            return parent && parent.tagName === "PICTURE" ? parent : imgElm;
         },
 
         /**
-         * Checks if the gallery has any Spherical Image
-         * 
+         * Sets the srcset, the sizes and the format specific sources of a Gallery
+         * image to an Image, without Gallery image they are removed
+         *
          * @private
-         * @return {Boolean} Result
+         * @param {Image} imgElm Image Element
+         * @param {Object} image Gallery image
          */
-        hasSphericalImages = function() {
-            return !!gallery.images.find(function(img) {
-                return img.isSpherical === true;
+        setResponsiveSrc = function(imgElm, image) {
+            image = image || {};
+            setOptionalAttr(imgElm, "srcset", image.srcset);
+            setOptionalAttr(imgElm, "sizes", image.sizes);
+            setSources(imgElm, image.sources);
+        },
+
+        /**
+         * Sets the format specific sources (AVIF, WebP...) of an Image, the browser
+         * picks the first one it supports. The Image is wrapped in a picture Element
+         * the first time it gets sources, the picture is displayed as its contents
+         * so the Image keeps being laid out as a child of the Gallery
+         *
+         * @private
+         * @param {Image} imgElm Image Element
+         * @param {Object[]} sources Sources, each one with its type, srcset, sizes and media
+         */
+        setSources = function(imgElm, sources) {
+            var picture = imgElm.parentNode,
+                isPicture = !!picture && picture.tagName === "PICTURE";
+            if (isPicture) {
+                [].slice.call(picture.querySelectorAll("source")).forEach(function (source) {
+                    picture.removeChild(source);
+                });
+            }
+            if (!sources || !sources.length) return;
+            if (!isPicture) {
+                picture = createElm("picture");
+                setAttr(picture, styleKey, "display:contents;");
+                if (imgElm.parentNode) {
+                    imgElm.parentNode.insertBefore(picture, imgElm);
+                }
+                picture.appendChild(imgElm);
+
+                /**
+                 * The preloading Images are not Gallery Elements
+                 */
+                if (!isUndefined(imgElm.slideIndex)) {
+                    createdElements.push(picture);
+                }
+            }
+            sources.forEach(function (source) {
+                var sourceElm = createElm("source");
+                ["type", "srcset", "sizes", "media"].forEach(function (attr) {
+                    setOptionalAttr(sourceElm, attr, source[attr]);
+                });
+                picture.insertBefore(sourceElm, imgElm);
             });
         },
 
         /**
-         * Loads Spherical Images Resources
+         * Requests an image in the background so it is in the browser
+         * cache by the time a Gallery Element shows it
          *
-         * @param {Function} callback Function to execute when the resources are loaded
+         * @private
+         * @param {String} url Image URL
+         * @param {Function} callback Function to execute once the image has been loaded
+         * @param {Object} image Gallery image, its responsive sources pick the same file the Gallery Elements show
+         * @param {Function} errorCallback Function to execute if the image fails to load
          */
-        loadSphericalResourcesForDesktop = function(callback) {
-            // Append CSS
-            var css = createElm("link");
-            var script = createElm("script");
-            setAttr(css, "rel", "stylesheet");
-            setAttr(css, "href", window.resourceDomain + "/GlobalResources14/Require/css/pwa/default/0_oViewer.css");
-            setAttr(script, srcKey, window.resourceDomain + "/GlobalResources14/Require/js/min/modules/oViewer.js");
-            insertAt(css, "beforeend", htmlElm);
-            insertAt(script, "beforeend", htmlElm);
-            script.onload = callback;
+        preloadUrl = function(url, callback, image, errorCallback) {
+            var img = preloaded[url];
+            if (!img) {
+                img = preloaded[url] = new Image();
+                img.decoding = "async";
+                img.addEventListener("error", function() {
+                    img.failed = true;
+                }, { once: true });
+                setResponsiveSrc(img, image);
+                img.src = url;
+            }
+            if (!callback) return;
+            if (img.complete && img.naturalWidth) {
+                callback();
+            } else if (img.failed) {
+                if (errorCallback) {
+                    errorCallback();
+                }
+            } else {
+                img.addEventListener("load", callback, { once: true });
+                if (errorCallback) {
+                    img.addEventListener("error", errorCallback, { once: true });
+                }
+            }
         },
 
-        cleanStyles = function() {
-            for (var i = 0; i < arguments.length; i++) {
-                removeAttr(arguments[i], styleKey);
+        /**
+         * Sets the source of a Gallery image to an Image Element, marking it as
+         * loading until its load finishes. If the image has a low quality placeholder
+         * it is shown until the full image has been loaded in the background
+         *
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @param {Object} image Gallery image
+         */
+        paintSrc = function(imgElm, image) {
+            if (!isImage(imgElm)) {
+                setSrc(imgElm, image.url, image);
+                return;
             }
+            addClass(imgElm, loadingKey);
+            delClass(imgElm, errorKey);
+            if (!image.placeholder) {
+                setSrc(imgElm, image.url, image);
+                return;
+            }
+            var slideIndex = imgElm.slideIndex,
+                /**
+                 * The Element may have been recycled for another image meanwhile
+                 */
+                isPainting = function() {
+                    return imgElm.slideIndex === slideIndex && gallery.images[slideIndex] === image;
+                };
+            setSrc(imgElm, image.placeholder);
+            preloadUrl(image.url, function() {
+                if (isPainting()) {
+                    setSrc(imgElm, image.url, image);
+                }
+            }, image, function() {
+                /**
+                 * The full image failed in the background, it is retried,
+                 * skipped or replaced as any image failing in the Element
+                 */
+                if (isPainting()) {
+                    imageFailed(imgElm);
+                }
+            });
         },
-        setCssVar = function(cssVarName, value) {
-            getStyles(htmlElm).setProperty(cssVarName, value);
-        };
 
+        /**
+         * Preloads the images around the index, the ones in the movement
+         * direction first. The images next to the index are skipped since
+         * the Gallery Elements are already loading them
+         *
+         * @private
+         * @param {Boolean} forward If true the Gallery is moving Next otherwise Previous
+         */
+        preloadAround = function(forward) {
+            var images = gallery.images,
+                order = [],
+                sides = forward ? [1, -1] : [-1, 1];
+            sides.forEach(function(side) {
+                for (var step = 2; step <= settings.preload + 1; step++) {
+                    order.push(isBounded() ? index + step * side : wrapIndex(index + step * side));
+                }
+            });
+            order.forEach(function(i) {
+                if (!images[i] || i === index || i === getNextIndex(index) || i === getPrevIndex(index)) return;
+                if (getImageType(images[i]) === "video") {
+                    if (images[i].poster) {
+                        preloadUrl(images[i].poster);
+                    }
+                    return;
+                }
+                preloadUrl(images[i].url, null, images[i]);
+            });
+        },
 
-    var index = 0,        
-        touches = 0,
-        touchId = getUndefined(),
-        changeRunning = !1,
-        lastX = getUndefined(),
-        onChange = function(){};
+        /**
+         * Handles an image that failed to load, requesting it again
+         * while there are retries left. Once it is given up, it is marked
+         * as failed and either skipped or replaced by the fallback
+         *
+         * @private
+         * @param {Image} imgElm Image Element that failed
+         */
+        imageFailed = function(imgElm) {
+            var i = imgElm.slideIndex,
+                image = gallery.images[i],
+                url = image.url,
+                tries = attempts[url] || 0;
 
-    gallery.images = images;
+            if (tries < settings.retries && !failed[url]) {
+                attempts[url] = tries + 1;
+                wait(function() {
+                    if (imgElm.slideIndex === i && gallery.images[i] === image) {
+                        setSrc(imgElm, url, image);
+                    }
+                }, settings.retryDelay * Math.pow(2, tries));
+                return;
+            }
+
+            failed[url] = true;
+            delClass(imgElm, loadingKey);
+            addClass(imgElm, errorKey);
+            emit("error", {
+                index: i,
+                image: image,
+                url: url,
+                attempts: tries + 1,
+                element: imgElm
+            });
+
+            /**
+             * A failed Next or Previous image is replaced by the closest image
+             * that has not failed, so the navigation never lands on it
+             */
+            if (settings.skipOnError && ready && !hasClass(imgElm, activeKey)) {
+                fillImage(imgElm, hasClass(imgElm, prevKey) ? getPrevIndex(index) : getNextIndex(index));
+                labelSlides();
+                return;
+            }
+
+            if (typeof settings.fallback === "string") {
+                setSrc(imgElm, settings.fallback);
+            }
+            updateFallback();
+        },
+
+        /**
+         * Shows the fallback Element while the active image is an image that failed
+         *
+         * @private
+         */
+        updateFallback = function() {
+            if (!fallbackElm) return;
+            var activeImg = query(activeQuery);
+            fallbackElm.hidden = !(activeImg && hasClass(activeImg, errorKey));
+        },
+
+        /**
+         * Wraps an index around the Gallery images length
+         *
+         * @private
+         * @param {Number} i Index to wrap
+         * @return {Number} Index inside the Gallery images range
+         */
+        wrapIndex = function(i) {
+            var length = gallery.images.length;
+            return ((i % length) + length) % length;
+        },
+
+        /**
+         * Gets the index of the image one step away from a given index,
+         * skipping the images that failed to load when the Gallery skips them
+         *
+         * @private
+         * @param {Number} i Index
+         * @param {Number} step 1 to step Next, -1 to step Previous
+         * @return {Number} Index
+         */
+        stepIndex = function(i, step) {
+            var images = gallery.images,
+                bounded = isBounded();
+            for (var n = 1; n < images.length; n++) {
+                var j = bounded ? i + n * step : wrapIndex(i + n * step);
+                if (j < 0 || j >= images.length) return -1;
+                if (!settings.skipOnError || !failed[images[j].url]) return j;
+            }
+            return bounded ? -1 : wrapIndex(i + step);
+        },
+
+        /**
+         * Checks if the Gallery stops at its first and last images instead of
+         * looping, a Gallery with a single image never loops
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isBounded = function() {
+            return !settings.loop || gallery.images.length < 2;
+        },
+
+        /**
+         * Reduces a drag offset beyond the first or last image,
+         * the further it goes the more resistance it finds
+         *
+         * @private
+         * @param {Number} offset Drag offset
+         * @param {Number} size Size of the active image
+         * @return {Number} Resisted offset
+         */
+        resist = function(offset, size) {
+            var sign = offset < 0 ? -1 : 1;
+            return sign * (1 - 1 / (Math.abs(offset) * 0.55 / size + 1)) * size;
+        },
+
+        /**
+         * Gets the index of the image after a given index
+         *
+         * @private
+         * @param {Number} i Index
+         * @return {Number} Next index, -1 if a bounded Gallery has no image after it
+         */
+        getNextIndex = function(i) {
+            return stepIndex(i, 1);
+        },
+
+        /**
+         * Gets the index of the image before a given index
+         *
+         * @private
+         * @param {Number} i Index
+         * @return {Number} Previous index, -1 if a bounded Gallery has no image before it
+         */
+        getPrevIndex = function(i) {
+            return stepIndex(i, -1);
+        },
+
+        /**
+         * Gets the position class (previous, active or next) of an Image Element
+         *
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @return {String} Position class
+         */
+        getPosition = function(imgElm) {
+            return [prevKey, activeKey, nextKey].find(function(position) {
+                return hasClass(imgElm, position);
+            });
+        },
+
+        /**
+         * Sets the position class (previous, active or next) of an Image Element
+         * removing any other position class it may have
+         *
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @param {String} position Position class
+         */
+        setPosition = function(imgElm, position) {
+            delClass(imgElm, prevKey);
+            delClass(imgElm, activeKey);
+            delClass(imgElm, nextKey);
+            addClass(imgElm, position);
+        },
+
+        /**
+         * Paints the Gallery image of an index in an Image Element,
+         * switching between the regular and the Spherical Element when needed
+         *
+         * @private
+         * @param {Image | HTMLDivElement} imgElm Image Element
+         * @param {Number} i Gallery Index to paint, the Element is emptied if there's no image in it
+         * @return {Image | HTMLDivElement} Image Element painted
+         */
+        fillImage = function(imgElm, i) {
+            var image = gallery.images[i];
+
+            if (imgElm === zoomElm) {
+                resetZoom(false);
+            }
+
+            /**
+             * A bounded Gallery has no image before the first one
+             * nor after the last one, the Element is left empty
+             */
+            if (!image) {
+                imgElm.slideIndex = -1;
+                imgElm.slideImage = getUndefined();
+                removeAttr(imgElm, srcKey);
+                removeAttr(imgElm, isImage(imgElm) ? altKey : "title");
+                if (isImage(imgElm)) {
+                    setResponsiveSrc(imgElm);
+                    removeAttr(imgElm, "width");
+                    removeAttr(imgElm, "height");
+                }
+                if (isVideo(imgElm)) {
+                    setVideoSrc(imgElm);
+                }
+                if (getElementType(imgElm) === "spherical") {
+                    renderPanorama(imgElm);
+                }
+                delClass(imgElm, loadingKey);
+                delClass(imgElm, errorKey);
+                imgElm.hidden = true;
+                return imgElm;
+            }
+
+            var position = getPosition(imgElm),
+                newElm = tryToggleImageType(imgElm, i);
+            if (newElm !== imgElm) {
+                setPosition(newElm, position);
+            }
+            newElm.hidden = false;
+            newElm.slideIndex = i;
+            newElm.slideImage = image;
+            paintSrc(newElm, image);
+            setAlt(newElm, image.alt, image);
+
+            /**
+             * A Spherical Image its renderer failed to render is painted again as a regular image
+             */
+            if (getElementType(newElm) !== getImageType(image)) {
+                return fillImage(newElm, i);
+            }
+            return newElm;
+        },
+
+        /**
+         * Moves the Gallery to the Next image
+         * 
+         * @private
+         * @param {Image | HTMLDivElement} prevImg Previous Image
+         * @param {Image | HTMLDivElement} activeImg Active Image         
+         * @param {Image | HTMLDivElement} nextImg Next Image
+         */
+        goNext = function(prevImg, activeImg, nextImg) {
+            index = nextImg.slideIndex; // Update Index, the Next image may have skipped failed images
+            resetZoom(true); // The zoomed image is the one leaving
+
+            /**
+             * Clean Previous image src since it will become the Next image
+             * else when changing it to Next image it won't update
+             * its look until the new image has been loaded
+             */
+            if (isImage(prevImg)) {
+                setSrc(prevImg, "");
+            }
+
+            /**
+             * Change the Previous image to become the Next image
+             */
+            prevImg = fillImage(prevImg, getNextIndex(index));
+
+            /**
+             * Update images relations
+             * Current Next -> New Active
+             * Current Active -> New Previous
+             * Current Previous -> New Next
+             */
+            setPosition(nextImg, activeKey);
+            setPosition(activeImg, prevKey);
+            setPosition(prevImg, nextKey);
+
+            changed();
+        },
+
+        /**
+         * Moves the Gallery to the Previous image
+         * 
+         * @private
+         * @param {Image | HTMLDivElement} prevImg Previous Image
+         * @param {Image | HTMLDivElement} activeImg Active Image         
+         * @param {Image | HTMLDivElement} nextImg Next Image
+         */
+        goPrev = function(prevImg, activeImg, nextImg) {
+            index = prevImg.slideIndex; // Update Index, the Previous image may have skipped failed images
+            resetZoom(true); // The zoomed image is the one leaving
+
+            /**
+             * Clean Next image src since it will become the Previous image
+             * else when changing it to Previous image it won't update
+             * its look until the new image has been loaded
+             */
+            if (isImage(nextImg)) {
+                setSrc(nextImg, "");
+            }
+
+            /**
+             * Change the Next image to become the Previous image
+             */
+            nextImg = fillImage(nextImg, getPrevIndex(index));
+
+            /**
+             * Update images relations
+             * Current Previous -> New Active
+             * Current Active ->New Next
+             * Current Next -> New Previous
+             */
+            setPosition(prevImg, activeKey);
+            setPosition(activeImg, nextKey);
+            setPosition(nextImg, prevKey);
+
+            changed();
+        },
+
+        /**
+         * Sets a value to an Attribute of an Element only if
+         * the Element does not have it already, so the values
+         * written in the markup are respected
+         *
+         * @private
+         * @param {Element} elm Element
+         * @param {String} attr Attribute's name
+         * @param {String} value Value to set
+         */
+        setDefaultAttr = function(elm, attr, value) {
+            if (!elm.hasAttribute(attr)) {
+                setAttr(elm, attr, value);
+            }
+        },
+
+        /**
+         * Gets the label of the image in the index, for instance "3 of 9"
+         *
+         * @private
+         * @param {Number} i Gallery Index
+         * @return {String} Label
+         */
+        getSlideLabel = function(i) {
+            return (i + 1) + " of " + gallery.images.length;
+        },
+
+        /**
+         * Sets the slide semantics to the Gallery images, only the
+         * active image is exposed to the assistive technologies
+         *
+         * @private
+         */
+        labelSlides = function() {
+            [
+                [query(prevQuery), getPrevIndex(index)],
+                [query(activeQuery), index],
+                [query(nextQuery), getNextIndex(index)]
+            ].forEach(function(slide) {
+                var imgElm = slide[0],
+                    label = getSlideLabelElm(imgElm);
+                label.textContent = slide[1] < 0 ? "" : getSlideLabel(slide[1]);
+                if (imgElm === query(activeQuery)) {
+                    removeAttr(imgElm, ariaHiddenKey);
+                } else {
+                    setAttr(imgElm, ariaHiddenKey, "true");
+                }
+            });
+        },
+
+        /**
+         * Gets the hidden Element describing the position of a Gallery Element,
+         * the image keeps its alt as its name and is described as "3 of 9".
+         * A hidden Element still describes, but it is not read by itself
+         *
+         * @private
+         * @param {Image | HTMLDivElement | HTMLVideoElement} imgElm Image Element
+         * @return {HTMLSpanElement} Label Element
+         */
+        getSlideLabelElm = function(imgElm) {
+            if (!imgElm.slideLabel) {
+                imgElm.slideLabel = createElm("span");
+                setAttr(imgElm.slideLabel, "id", "gallery-slide-label-" + (++Gallery.labelCount));
+                imgElm.slideLabel.hidden = true;
+                insertAt(imgElm.slideLabel, "beforeend", context);
+                createdElements.push(imgElm.slideLabel);
+            }
+            setAttr(imgElm, "aria-describedby", getAttr(imgElm.slideLabel, "id"));
+            return imgElm.slideLabel;
+        },
+
+        /**
+         * Disables the controls leading nowhere, at the first
+         * and last images of a bounded Gallery
+         *
+         * @private
+         */
+        updateControls = function() {
+            queryAll(controlQuery).forEach(function(control) {
+                var disabled = (hasClass(control, nextKey) ? getNextIndex(index) : getPrevIndex(index)) < 0;
+                if (disabled) {
+                    addClass(control, disabledKey);
+                    setAttr(control, "aria-disabled", "true");
+                } else {
+                    delClass(control, disabledKey);
+                    removeAttr(control, "aria-disabled");
+                }
+            });
+        },
+
+        /**
+         * Announces the active image to the assistive technologies
+         * using its alt text, or its label when it has none
+         *
+         * @private
+         */
+        announce = function() {
+            var image = gallery.images[index];
+            liveRegion.textContent = image ? getText(image.alt) || getSlideLabel(index) : "";
+        },
+
+        /**
+         * Gets the text of an alt or caption field. The texts of some sources arrive
+         * with their quotes and backslashes escaped (Teravista 62\'), they are unescaped
+         *
+         * @private
+         * @param {String} value Field value
+         * @return {String} Text, empty when there is no value
+         */
+        getText = function(value) {
+            return isUndefined(value) || value === null ? "" : String(value).replace(/\\(["'\\])/g, "$1");
+        },
+
+        /**
+         * Creates the caption of a Gallery image with its title, caption and credit.
+         * They are set as text, so the images can not inject HTML into the page
+         *
+         * @private
+         * @param {Object} image Gallery image
+         * @return {HTMLDivElement | undefined} Caption, undefined when the image has none
+         */
+        createCaption = function(image) {
+            var caption = createElm("div");
+            addClass(caption, "gallery-caption");
+            ["title", "caption", "credit"].forEach(function(field) {
+                var text = getText(image[field]);
+                if (!text) return;
+                var part = createElm("div");
+                addClass(part, "gallery-caption-" + field);
+                part.textContent = text;
+                insertAt(part, "beforeend", caption);
+            });
+            caption.captionImage = image;
+            return caption.firstChild ? caption : getUndefined();
+        },
+
+        /**
+         * Shows the caption of the active image over it, the caption
+         * of the image left fades out while the new one fades in
+         *
+         * @private
+         * @param {Number} i Gallery Index of the image, by default the index. A committed
+         *     swipe passes its target so the captions fade along with the images
+         */
+        updateCaption = function(i) {
+            var image = gallery.images[isUndefined(i) ? index : i],
+                leaving = captionElm,
+                entering;
+            if (!settings.captions || (leaving && leaving.captionImage === image)) return;
+            captionElm = entering = image && createCaption(image);
+
+            /**
+             * The captions are kept in a box created with the first of them,
+             * the Galleries without captions don't get it
+             */
+            if (entering && !captionsBox) {
+                captionsBox = createElm("div");
+                addClass(captionsBox, "gallery-captions");
+                insertAt(captionsBox, "beforeend", context);
+                createdElements.push(captionsBox);
+            }
+            if (entering) {
+                addClass(entering, "entering");
+                insertAt(entering, "beforeend", captionsBox);
+                entering.offsetWidth; // The styles of the entering caption are applied before it fades in
+                delClass(entering, "entering");
+            }
+            if (leaving) {
+                addClass(leaving, "leaving");
+                wait(function() {
+                    if (leaving.parentNode) {
+                        leaving.parentNode.removeChild(leaving);
+                    }
+                }, settings.duration);
+            }
+        },
+
+        /**
+         * Shows the position of the active image, as "3 / 9"
+         *
+         * @private
+         */
+        updateCounter = function() {
+            if (!settings.counter) return;
+            if (!counterElm) {
+                counterElm = createElm("div");
+                addClass(counterElm, "gallery-counter");
+                setAttr(counterElm, "aria-hidden", "true"); // The live region already announces the image
+                insertAt(counterElm, "beforeend", context);
+                createdElements.push(counterElm);
+            }
+            counterElm.textContent = (index + 1) + " / " + gallery.images.length;
+        },
+
+        /**
+         * Gets the parameters of the URL part holding the Galleries, the hash or the query
+         *
+         * @private
+         * @return {URLSearchParams} Parameters
+         */
+        getHistoryParams = function() {
+            return new URLSearchParams(historyMode === "query" ? location.search : location.hash.slice(1));
+        },
+
+        /**
+         * Checks if the Galleries can write to the URL hash, an ordinary
+         * page anchor (#section) is not made of key=value pairs and is left as it is
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isHistoryHash = function() {
+            var hash = location.hash.slice(1);
+            return !hash || /^[^=&]+=[^&]*(&[^=&]+=[^&]*)*$/.test(hash);
+        },
+
+        /**
+         * Reads the image of the Gallery written in the URL, by its id or its index
+         *
+         * @private
+         * @return {Number | undefined} Gallery Index, undefined when the URL has none
+         */
+        readHistory = function() {
+            var value = historyMode ? getHistoryParams().get(historyKey) : null,
+                target;
+            if (value === null) return getUndefined();
+            target = gallery.images.findIndex(function(image) {
+                return !isUndefined(image.id) && image.id !== null && String(image.id) === value;
+            });
+            if (target < 0 && /^\d+$/.test(value)) {
+                target = Number(value);
+            }
+            return target >= 0 && target < gallery.images.length ? target : getUndefined();
+        },
+
+        /**
+         * Writes the active image to the URL, its id or its index, replacing
+         * the current History entry so the Back button does not walk the images
+         *
+         * @private
+         */
+        writeHistory = function() {
+            if (!historyMode || (historyMode !== "query" && !isHistoryHash())) return;
+            var params = getHistoryParams(),
+                image = gallery.images[index],
+                url;
+            params.set(historyKey, image && !isUndefined(image.id) && image.id !== null ? image.id : index);
+            url = historyMode === "query" ?
+                location.pathname + "?" + params + location.hash :
+                location.pathname + location.search + "#" + params;
+            if (url !== location.pathname + location.search + location.hash) {
+                history.replaceState(history.state, "", url);
+            }
+        },
+
+        /**
+         * Moves to the image written in the URL, after the user navigated the History
+         * or edited the hash
+         *
+         * @private
+         */
+        followHistory = function() {
+            var target = readHistory();
+            if (!isUndefined(target) && target !== index) {
+                gallery.goTo(target);
+            }
+        },
+
+        /**
+         * Updates the Gallery after its index has changed
+         *
+         * @private
+         */
+        changed = function() {
+            var length = gallery.images.length;
+            preloadAround(isUndefined(lastIndex) || (isBounded() ? index >= lastIndex : wrapIndex(index - lastIndex) <= length / 2));
+            labelSlides();
+            updateControls();
+            announce();
+            updateCaption();
+            updateCounter();
+            updateNavigation();
+            updateFallback();
+            updateVideos();
+            writeHistory();
+            scheduleAutoplay(); // The interval starts again after any change
+            onChange(index, gallery.images[index]); // Run onChange event
+            emit("change", {
+                from: lastIndex,
+                index: index,
+                image: gallery.images[index]
+            });
+            lastIndex = index;
+        },
+
+        /**
+         * Creates the items of the Navigation, a thumbnail
+         * or a dot for each image of the Gallery
+         *
+         * @private
+         */
+        renderNavigation = function() {
+            if (!navigation) return;
+            navigation.textContent = "";
+            gallery.images.forEach(function(image, i) {
+                var item = createElm("button");
+                setAttr(item, "type", "button");
+                setAttr(item, "aria-label", getSlideLabel(i));
+                setAttr(item, "data-index", i);
+                addClass(item, "gallery-navigation-item");
+                if (settings.navigation === "thumbnails") {
+                    var thumb = createElm(imgKey);
+                    setAttr(thumb, srcKey, image.thumbUrl || image.poster || image.url);
+                    setAttr(thumb, altKey, "");
+                    setAttr(thumb, "loading", "lazy");
+                    setAttr(thumb, "draggable", "false");
+                    insertAt(thumb, "beforeend", item);
+                }
+                insertAt(item, "beforeend", navigation);
+            });
+            updateNavigation();
+        },
+
+        /**
+         * Highlights the Navigation item of the active image
+         * and scrolls the Navigation to make it visible
+         *
+         * @private
+         */
+        updateNavigation = function() {
+            if (!navigation) return;
+            var items = navigation.children;
+            for (var i = 0; i < items.length; i++) {
+                if (i === index) {
+                    addClass(items[i], currentKey);
+                    setAttr(items[i], "aria-current", "true");
+                } else {
+                    delClass(items[i], currentKey);
+                    removeAttr(items[i], "aria-current");
+                }
+            }
+
+            /**
+             * Center the active item scrolling only the Navigation,
+             * scrollIntoView would scroll the whole page as well
+             */
+            var item = items[index];
+            if (item) {
+                var navRect = navigation.getBoundingClientRect(),
+                    itemRect = item.getBoundingClientRect();
+                navigation.scrollLeft += itemRect.left - navRect.left - (navRect.width - itemRect.width) / 2;
+            }
+        },
+
+        /**
+         * Schedules the next autoplay change, only while the Gallery
+         * is playing and nothing is holding the autoplay
+         *
+         * @private
+         */
+        scheduleAutoplay = function() {
+            if (!isUndefined(autoplayTimer)) {
+                cancelWait(autoplayTimer);
+                autoplayTimer = getUndefined();
+            }
+            if (!playing || !ready || isAutoplayHeld()) return;
+            autoplayTimer = wait(function() {
+                autoplayTimer = getUndefined();
+
+                /**
+                 * Never move while there's a touch hold or a image change running,
+                 * just wait for another interval
+                 */
+                if (isUndefined(touchId) && !changeRunning) {
+                    var forward = settings.autoplayDirection !== "previous";
+
+                    /**
+                     * A bounded Gallery stops playing at its last image
+                     */
+                    if ((forward ? getNextIndex(index) : getPrevIndex(index)) < 0) {
+                        setPlaying(false);
+                        return;
+                    }
+                    go(forward);
+                }
+                scheduleAutoplay();
+            }, settings.autoplayInterval);
+        },
+
+        /**
+         * Checks if any reason holds the autoplay
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isAutoplayHeld = function() {
+            return Object.keys(autoplayHolds).some(function(reason) {
+                return autoplayHolds[reason];
+            });
+        },
+
+        /**
+         * Holds or releases the autoplay for a reason (hover, focus, hidden, lightbox or video)
+         *
+         * @private
+         * @param {String} reason Reason
+         * @param {Boolean} value If true the autoplay is held
+         */
+        holdAutoplay = function(reason, value) {
+            autoplayHolds[reason] = value;
+            scheduleAutoplay();
+        },
+
+        /**
+         * Starts or stops the autoplay
+         *
+         * @private
+         * @param {Boolean} value If true the Gallery plays
+         */
+        setPlaying = function(value) {
+            if (playing === value || destroyed) return;
+            playing = value;
+            setAttr(liveRegion, "aria-live", playing ? "off" : "polite"); // The autoplay changes are not announced
+            scheduleAutoplay();
+            (playing ? onPlay : onPause)(index, gallery.images[index]); // Run onPlay or onPause event
+            emit(playing ? "play" : "pause", {
+                index: index
+            });
+        },
+
+        /**
+         * Triggers a Gallery event, running its listeners with an event Object
+         * holding the event type, the Gallery and the given data
+         *
+         * @private
+         * @param {String} type Event's name
+         * @param {Object} data Event's data
+         * @param {Boolean} cancelable If true the listeners can cancel the event using preventDefault
+         * @return {Boolean} False if any listener cancelled the event
+         */
+        emit = function(type, data, cancelable) {
+            var event = extend({
+                    type: type,
+                    gallery: gallery,
+                    cancelable: !!cancelable,
+                    defaultPrevented: false,
+                    preventDefault: function() {
+                        if (cancelable) {
+                            event.defaultPrevented = true;
+                        }
+                    }
+                }, data);
+
+            /**
+             * Iterate over a copy so the listeners removed
+             * while running (once) do not skip others
+             */
+            (eventListeners[type] || []).slice().forEach(function(fn) {
+                /**
+                 * A failing listener can't leave the Gallery in the middle of a change,
+                 * its error is thrown again once the Gallery has finished
+                 */
+                try {
+                    fn.call(gallery, event);
+                } catch (error) {
+                    setTimeout(function() {
+                        throw error;
+                    }, 0);
+                }
+            });
+            return !event.defaultPrevented;
+        },
+
+        /**
+         * Asks the listeners if the Gallery can change from the index
+         * to the target, the change is cancelled if any of them prevents it
+         *
+         * @private
+         * @param {Number} target Gallery Index to move to
+         * @param {Boolean} forward If true the Gallery moves Next otherwise Previous
+         * @return {Boolean} True if the change can be performed
+         */
+        beforeChange = function(target, forward) {
+            return emit("beforechange", {
+                from: index,
+                to: target,
+                direction: forward ? "next" : "previous"
+            }, true);
+        },
+
+        /**
+         * Checks if a given value is an index of the Gallery images
+         *
+         * @private
+         * @param {Any} i Value to check
+         * @return {Boolean} Result
+         */
+        isIndex = function(i) {
+            return typeof i === "number" && i % 1 === 0 && i >= 0 && i < gallery.images.length;
+        },
+
+        /**
+         * Replaces the Gallery images and repaints the Gallery Elements
+         * with the images around the index, keeping it inside the new range
+         *
+         * @private
+         * @param {Object[]} newImages New Gallery images
+         * @param {Number} newIndex New index of the active image
+         */
+        setImages = function(newImages, newIndex) {
+            if (destroyed) return;
+
+            /**
+             * A new Array is always set so the Gallery Initialization,
+             * which may be waiting for the Spherical Images Resources,
+             * keeps working with the images it started with
+             */
+            gallery.images = newImages;
+            index = Math.max(0, Math.min(newIndex, newImages.length - 1));
+            if (!isUndefined(pendingIndex)) {
+                pendingIndex = Math.min(pendingIndex, newImages.length - 1);
+            }
+
+            /**
+             * The Elements are painted once they are ready, and
+             * not in the middle of a change or a swipe
+             */
+            if (!ready || changeRunning || !isUndefined(touchId)) {
+                imagesChanged = true;
+                return;
+            }
+
+            var activeImg = query(activeQuery),
+                activeChanged = activeImg.slideImage !== gallery.images[index];
+
+            /**
+             * The active image is only painted again when it changed, so its zoom,
+             * its playing video or its panorama are kept while images are added
+             */
+            fillImage(query(prevQuery), getPrevIndex(index));
+            if (activeChanged) {
+                fillImage(activeImg, index);
+            } else {
+                activeImg.slideIndex = index;
+            }
+            fillImage(query(nextQuery), getNextIndex(index));
+            renderNavigation();
+
+            if (activeChanged) {
+                changed();
+            } else {
+                labelSlides();
+                updateControls();
+                updateCounter();
+                updateNavigation();
+                writeHistory(); // The index of the same image may have moved
+                lastIndex = index;
+            }
+        },
+
+        /**
+         * Paints the images changed while the Gallery Elements were not ready,
+         * or were changing or being swiped
+         *
+         * @private
+         */
+        paintChangedImages = function() {
+            if (!imagesChanged || !ready || changeRunning || !isUndefined(touchId)) return;
+            imagesChanged = false;
+            setImages(gallery.images, index);
+        },
+
+        /**
+         * Starts a gesture with the Touches of a TouchEvent,
+         * a pinch when there are two fingers on the screen
+         * 
+         * @private
+         * @param {TouchEvent} event TouchEvent         
+         */
+        registerTouch = function(event) {
+            var all = event.touches;
+            if (all.length === 2) {
+                startPinch(getTouchPoint(all[0]), getTouchPoint(all[1]));
+            } else if (all.length === 1) {
+                startGesture(getTouchPoint(all[0]));
+            }
+        },
+
+        /**
+         * Sets the touchId property if this is undefined
+         * using the Id of a Touch or a Pointer and reduces
+         * the animation time of the Gallery to the minimum possible value
+         *
+         * @private
+         * @param {Number} id Touch or Pointer Id
+         * @param {Number} x X value of the Touch or Pointer
+         * @return {Boolean} True if the drag has been registered
+         */
+        registerDrag = function(id, x) {
+            if (!(isUndefined(touchId) && isUndefined(lastX) && touches === 0) || changeRunning || isPanoramaPanning()) return false;
+            touches++;
+            touchId = id;
+            lastX = x;
+            dragOffset = 0;
+            dragShown = 0;
+            dragSamples = [];
+            sampleDrag(0);
+            setXAnimationTime(0.000001);
+            emit("swipestart", {
+                index: index
+            });
+            return true;
+        },
+
+        /**
+         * Makes the Gallery images follow the movement of the registered Touch or Pointer
+         *
+         * @private
+         * @param {Number} id Touch or Pointer Id
+         * @param {Number} newX New X value of the Touch or Pointer
+         */
+        moveDrag = function(id, newX) {
+            if (changeRunning) return;
+            /**
+             * If the movement is triggered before the registration
+             * register the movement's Touch or Pointer
+             */
+            if (isUndefined(touchId) || isUndefined(lastX)) return registerDrag(id, newX);
+
+            /**
+             * Check for the touch Id to avoid multitouch issues
+             */
+            if (touchId !== id || isPanoramaPanning()) return;
+
+            /**
+             * Calculate touch move measure
+             */
+            var diff = lastX - newX,
+                prevImg = query(prevQuery),
+                activeImg = query(activeQuery),
+                nextImg = query(nextQuery),
+                activeWidth = getImgWidth(activeImg),
+                offset = dragOffset - diff, // Total movement of the left image edge
+                tDiff = offset; // Total difference: movement shown, resisted beyond the first or last image
+
+            lastX = newX; // Overwrite Last X value with the Nex X value
+
+            if ((offset > 0 && getPrevIndex(index) < 0) || (offset < 0 && getNextIndex(index) < 0)) {
+                tDiff = resist(offset, activeWidth);
+            }
+
+            /**
+             * If the Total difference is greater the the width of the
+             * active image, using the lock margin, lock the gallery movement
+             */
+            if (Math.abs(tDiff) > (activeWidth - settings.lockMargin)) return;
+            dragOffset = offset;
+            dragShown = tDiff;
+            sampleDrag(tDiff);
+
+            /**
+             * The controls of a video being swiped are hidden, so they don't take the swipe
+             */
+            if (isVideo(activeImg) && activeImg.controls && Math.abs(tDiff) >= tapDistance) {
+                activeImg.controls = false;
+                hiddenControls = activeImg;
+            }
+
+            var progress = Math.min(1, Math.abs(tDiff) / activeWidth);
+
+            /**
+             * Perform the follow touch movement, await until the X values of
+             * the images has been updated to let the browser paint the screen
+             */
+            reqFrame(function () {
+                effect.drag({
+                    previous: prevImg,
+                    active: activeImg,
+                    next: nextImg
+                }, getEffectState({
+                    offset: tDiff,
+                    progress: progress,
+                    forward: tDiff < 0,
+                    size: activeWidth
+                }));
+            });
+
+            emit("swipemove", {
+                index: index,
+                offset: tDiff,
+                delta: -diff,
+                progress: progress
+            });
+        },
+
+        /**
+         * Finishes the drag of the registered Touch or Pointer, changing
+         * the image or moving it back depending on how far it was dragged
+         *
+         * @private
+         * @param {Number} id Touch or Pointer Id
+         */
+        releaseDrag = function(id) {
+            if (changeRunning) return;
+            touches--;
+
+            /**
+             * If the touch Id of the leaving touch is the
+             * same of the registered touch, continue.
+             * If the touches are greater than 0 do nothing.
+             */
+            if (touchId !== id || touches > 0) return;
+
+            /**
+             * Clean the variables
+             */
+            touchId = getUndefined();
+            lastX = getUndefined();
+            restoreControls();
+
+            var prevImg = query(prevQuery),
+                activeImg = query(activeQuery),
+                nextImg = query(nextQuery),
+                activeX = dragShown,
+                prevX = getImgX(prevImg),
+                nextX = getImgX(nextImg),
+                activeWidth = getImgWidth(activeImg),
+                velocity = getDragVelocity(),
+                forward = activeX < 0,
+                target = forward ? getNextIndex(index) : getPrevIndex(index),
+                /**
+                 * A fast release is a flick, it decides by itself
+                 * if the change is performed: only when it goes in the
+                 * direction of the active image's X value
+                 */
+                flick = Math.abs(activeX) > settings.flickMinDistance && Math.abs(velocity) > settings.flickVelocity,
+                /**
+                 * If the X value of the active image is greater than the
+                 * threshold part of the full active image width, perform the change
+                 * according to the symbol(+/-) of the active image's X value,
+                 * unless there's no image in that direction or a beforechange listener cancels it
+                 */
+                commit = (flick ? (velocity < 0) === forward : Math.abs(activeX) > (activeWidth * settings.swipeThreshold)) &&
+                    target >= 0 && beforeChange(target, forward),
+                settleTime = getSettleTime(commit ? activeWidth - Math.abs(activeX) : Math.abs(activeX),
+                    (velocity < 0) === (commit === forward) ? Math.abs(velocity) : 0,
+                    activeWidth,
+                    commit ? settings.duration : settings.snapBackDuration);
+
+            emit("swipeend", {
+                index: index,
+                offset: activeX,
+                velocity: velocity,
+                committed: commit,
+                direction: forward ? "next" : "previous"
+            });
+
+            /**
+             * Perform the animation after touch left, but await until the Functions
+             * has been executed to let the browser paint the screen again
+             */
+            reqFrame(function () {
+                setCssVar(cssActiveX, activeX * dirSign + "px");
+                setCssVar(cssPreviousX, prevX * dirSign + "px");
+                setCssVar(cssNextX, nextX * dirSign + "px");
+
+                var slides = {
+                        previous: prevImg,
+                        active: activeImg,
+                        next: nextImg
+                    },
+                    state = getEffectState({
+                        commit: commit,
+                        forward: forward,
+                        size: activeWidth
+                    });
+
+                if (commit) {
+                    updateCaption(target);
+                    setXAnimationTime(settleTime / 1000);
+                    if (forward) {
+                        setNextOverlap(nextImg, activeImg);
+                        effect.settle(slides, state);
+                        wait(function() {
+                            goNext(prevImg, activeImg, nextImg);
+                            cleanStyles(prevImg, activeImg, nextImg);
+                            emit("transitionend", {
+                                index: index
+                            });
+                            paintChangedImages();
+                        }, settleTime);
+                    } else {
+                        setPrevOverlap(activeImg, prevImg);
+                        effect.settle(slides, state);
+                        wait(function() {
+                            goPrev(prevImg, activeImg, nextImg);
+                            cleanStyles(prevImg, activeImg, nextImg);
+                            emit("transitionend", {
+                                index: index
+                            });
+                            paintChangedImages();
+                        }, settleTime);
+                    }
+                } else {
+                    setXAnimationTime(settleTime / 1000);
+                    effect.settle(slides, state);
+                    wait(function () {
+                        cleanStyles(prevImg, activeImg, nextImg);
+                        paintChangedImages();
+                    }, settleTime);
+                }
+
+                setSlotPositions();
+
+            });
+
+            changeRunning = true;
+            wait(function () {
+                changeRunning = false;
+            }, settleTime);
+        },
+
+        /**
+         * Gets the current time in milliseconds
+         *
+         * @private
+         * @return {Number} Time
+         */
+        now = function() {
+            return window.performance ? performance.now() : Date.now();
+        },
+
+        /**
+         * Keeps the offset of the drag at the current time,
+         * forgetting the ones older than the velocity sampling time
+         *
+         * @private
+         * @param {Number} offset Drag offset
+         */
+        sampleDrag = function(offset) {
+            var time = now();
+            dragSamples.push([time, offset]);
+            while (dragSamples.length > 2 && time - dragSamples[0][0] > velocitySampleTime) {
+                dragSamples.shift();
+            }
+        },
+
+        /**
+         * Gets the velocity of the drag at its last moments, in pixels per
+         * millisecond, negative when moving towards the Next image. A drag that
+         * has been still for the sampling time has no velocity
+         *
+         * @private
+         * @return {Number} Velocity
+         */
+        getDragVelocity = function() {
+            var time = now(),
+                samples = dragSamples.filter(function(sample) {
+                    return time - sample[0] <= velocitySampleTime;
+                }),
+                first = samples[0],
+                last = samples[samples.length - 1];
+            if (samples.length < 2 || last[0] === first[0]) return 0;
+            return (last[1] - first[1]) / (last[0] - first[0]);
+        },
+
+        /**
+         * Gets the time the images take to settle after a drag, from the distance
+         * they still have to move and the velocity they were released with. The images
+         * never move slower than a full size movement in the maximum time
+         *
+         * @private
+         * @param {Number} remaining Distance left to move
+         * @param {Number} velocity Velocity towards where the images settle
+         * @param {Number} size Size of the active image
+         * @param {Number} maxTime Maximum time in milliseconds
+         * @return {Number} Time in milliseconds
+         */
+        getSettleTime = function(remaining, velocity, size, maxTime) {
+            var speed = Math.max(velocity, size / maxTime);
+            return Math.min(maxTime, Math.round(remaining / speed)) || 0;
+        },
+
+        /**
+         * Forgets the registered Touch or Pointer without changing
+         * the image, the images go back to their places
+         *
+         * @private
+         */
+        cancelDrag = function() {
+            if (isUndefined(touchId)) return;
+            var prevImg = query(prevQuery),
+                activeImg = query(activeQuery),
+                nextImg = query(nextQuery);
+            emit("swipeend", {
+                index: index,
+                offset: dragShown,
+                velocity: 0,
+                committed: false,
+                direction: dragShown < 0 ? "next" : "previous"
+            });
+            touches = 0;
+            touchId = getUndefined();
+            lastX = getUndefined();
+            dragOffset = 0;
+            dragShown = 0;
+            restoreControls();
+
+            /**
+             * Await the pending drag frames, else they would move the images again
+             */
+            reqFrame(function () {
+                cleanStyles(prevImg, activeImg, nextImg);
+                paintChangedImages();
+            });
+        },
+
+        /*** Zoom ***/
+
+        /**
+         * Gets the position of a Touch or a Pointer
+         *
+         * @private
+         * @param {Touch | PointerEvent} touch Touch or PointerEvent
+         * @param {Number} id Touch or Pointer Id
+         * @return {Object} Point, with its client position and its X value for the drag
+         */
+        getPoint = function(touch, id) {
+            return {
+                id: id,
+                x: touch.clientX,
+                y: touch.clientY,
+                axis: getTouchX(touch)
+            };
+        },
+
+        /**
+         * Gets the position of a Touch
+         *
+         * @private
+         * @param {Touch} touch Touch
+         * @return {Object} Point
+         */
+        getTouchPoint = function(touch) {
+            return getPoint(touch, getTouchId(touch));
+        },
+
+        /**
+         * Checks if the active image is zoomed
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isZoomed = function() {
+            return !isUndefined(zoomElm);
+        },
+
+        /**
+         * Checks if the active image can be zoomed now, a Gallery opening
+         * the lightbox leaves the zoom to it even with the zoom option
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        canZoom = function() {
+            return settings.zoom && !settings.lightbox && !changeRunning && isImage(query(activeQuery));
+        },
+
+        /**
+         * Gets the transform functions of the zoom of an Image,
+         * they go after the ones placing it in the Gallery
+         *
+         * @private
+         * @param {Image | HTMLDivElement} img Image
+         * @return {String} Transform functions
+         */
+        getZoomTransform = function(img) {
+            if (img !== zoomElm) return "";
+            return " translate(" + panX + "px, " + panY + "px) scale(" + zoomScale + ")";
+        },
+
+        /**
+         * Lets the browser scroll across the Gallery axis only, the movement
+         * along the axis drags the images. Nothing is left to the browser
+         * while the active image is zoomed, the movement pans it
+         *
+         * @private
+         */
+        updateTouchAction = function() {
+            if (!hasPointerEvents()) return;
+            getStyles(context).touchAction = isZoomed() ? "none" : isVertical() ? "pan-x" : "pan-y";
+        },
+
+        /**
+         * Shows the zoom of the zoomed image, or removes it once it is not zoomed
+         *
+         * @private
+         * @param {Boolean} animate If false the zoom is shown without animation
+         */
+        paintZoom = function(animate) {
+            var img = zoomElm;
+            if (zoomScale > 1) {
+                getStyles(img).transition = animate ? "" : "none";
+                setImgX(img, 0);
+                addClass(img, zoomedKey);
+            } else {
+                zoomElm = getUndefined();
+                getStyles(img).transition = "";
+                getStyles(img).transform = "";
+                delClass(img, zoomedKey);
+            }
+            updateTouchAction();
+        },
+
+        /**
+         * Limits a scale to the allowed zoom
+         *
+         * @private
+         * @param {Number} scale Scale
+         * @return {Number} Scale
+         */
+        clampScale = function(scale) {
+            return Math.min(Math.max(scale, 1), settings.maxZoom);
+        },
+
+        /**
+         * Gets the center of the active image when it is not zoomed,
+         * the point the zoom and the pan are relative to
+         *
+         * @private
+         * @return {Object} Client position
+         */
+        getZoomCenter = function() {
+            if (!isZoomed()) {
+                var rect = query(activeQuery).getBoundingClientRect();
+                zoomCenter = {
+                    x: rect.left + rect.width / 2,
+                    y: rect.top + rect.height / 2
+                };
+            }
+            return zoomCenter;
+        },
+
+        /**
+         * Zooms and pans the active image, the pan is limited
+         * so the image edges never go inside its box
+         *
+         * @private
+         * @param {Number} scale Scale
+         * @param {Number} x Horizontal pan
+         * @param {Number} y Vertical pan
+         * @param {Boolean} animate If false the zoom is shown without animation
+         */
+        applyZoom = function(scale, x, y, animate) {
+            if (!canZoom()) return;
+            var activeImg = query(activeQuery),
+                lastScale = zoomScale;
+            if (isZoomed() && zoomElm !== activeImg) {
+                resetZoom(false);
+            }
+            scale = clampScale(scale);
+            var maxX = (scale - 1) * activeImg.offsetWidth / 2,
+                maxY = (scale - 1) * activeImg.offsetHeight / 2;
+            zoomElm = activeImg;
+            zoomScale = scale;
+            panX = Math.min(Math.max(x, -maxX), maxX);
+            panY = Math.min(Math.max(y, -maxY), maxY);
+            paintZoom(animate);
+            if (scale !== lastScale) {
+                emit("zoom", {
+                    index: index,
+                    scale: scale
+                });
+            }
+        },
+
+        /**
+         * Zooms the active image keeping a point of the screen in place
+         *
+         * @private
+         * @param {Number} scale Scale
+         * @param {Number} x Client X value of the point
+         * @param {Number} y Client Y value of the point
+         * @param {Boolean} animate If false the zoom is shown without animation
+         */
+        zoomAt = function(scale, x, y, animate) {
+            if (!canZoom()) return;
+            var center = getZoomCenter(),
+                ratio = clampScale(scale) / zoomScale;
+            applyZoom(scale, x - center.x - (x - center.x - panX) * ratio, y - center.y - (y - center.y - panY) * ratio, animate);
+        },
+
+        /**
+         * Takes the zoom out of the zoomed image
+         *
+         * @private
+         * @param {Boolean} animate If false the image goes back without animation
+         */
+        resetZoom = function(animate) {
+            if (!isZoomed()) return;
+            zoomScale = 1;
+            panX = 0;
+            panY = 0;
+            paintZoom(animate);
+            emit("zoom", {
+                index: index,
+                scale: 1
+            });
+        },
+
+        /**
+         * Zooms the active image at a point, or takes its zoom out if it is zoomed
+         *
+         * @private
+         * @param {Number} x Client X value of the point
+         * @param {Number} y Client Y value of the point
+         */
+        toggleZoom = function(x, y) {
+            if (isZoomed()) {
+                resetZoom(true);
+            } else {
+                zoomAt(settings.doubleTapZoom, x, y, true);
+            }
+        },
+
+        /**
+         * Starts a pinch with two fingers, the drag started by the first one is dropped
+         *
+         * @private
+         * @param {Object} a Point of a finger
+         * @param {Object} b Point of the other finger
+         * @return {Boolean} True if the pinch has been started
+         */
+        startPinch = function(a, b) {
+            if (!canZoom()) return false;
+            cancelDrag();
+            panning = getUndefined();
+            gestureStart = getUndefined();
+            gestureMoved = true;
+            var center = getZoomCenter(),
+                midX = (a.x + b.x) / 2,
+                midY = (a.y + b.y) / 2;
+            pinch = {
+                distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+                scale: zoomScale,
+                x: (midX - center.x - panX) / zoomScale, // Point of the image under the fingers, unzoomed
+                y: (midY - center.y - panY) / zoomScale
+            };
+            return true;
+        },
+
+        /**
+         * Zooms the active image following the fingers of the pinch,
+         * the point of the image under them moves along with them
+         *
+         * @private
+         * @param {Object} a Point of a finger
+         * @param {Object} b Point of the other finger
+         */
+        movePinch = function(a, b) {
+            var scale = clampScale(pinch.scale * Math.hypot(a.x - b.x, a.y - b.y) / pinch.distance),
+                center = getZoomCenter();
+            applyZoom(scale, (a.x + b.x) / 2 - center.x - pinch.x * scale, (a.y + b.y) / 2 - center.y - pinch.y * scale, false);
+        },
+
+        /**
+         * Starts a gesture of a single finger or pointer, it pans
+         * the active image when zoomed otherwise it drags the images
+         *
+         * @private
+         * @param {Object} point Point
+         * @return {Boolean} True if the gesture has been started
+         */
+        startGesture = function(point) {
+            gestureStart = point;
+            gestureMoved = false;
+            if (!isZoomed()) return registerDrag(point.id, point.axis);
+            panning = {
+                id: point.id,
+                x: point.x,
+                y: point.y,
+                decided: false
+            };
+            return true;
+        },
+
+        /**
+         * Checks if the zoomed image has been panned to its edge
+         * in the direction of a movement along the Gallery axis
+         *
+         * @private
+         * @param {Number} delta Movement along the Gallery axis
+         * @return {Boolean} Result
+         */
+        isPannedToEdge = function(delta) {
+            var max = (zoomScale - 1) * getImgWidth(zoomElm) / 2,
+                pan = isVertical() ? panY : panX;
+            if (delta < 0) return pan <= 1 - max;
+            if (delta > 0) return pan >= max - 1;
+            return false;
+        },
+
+        /**
+         * Moves a single finger or pointer gesture. The zoomed image is panned,
+         * unless it has already been panned to its edge in the direction
+         * of the movement, then the gesture drags the images
+         *
+         * @private
+         * @param {Object} point Point
+         */
+        moveGesture = function(point) {
+            if (gestureStart && Math.abs(point.x - gestureStart.x) + Math.abs(point.y - gestureStart.y) >= tapDistance) {
+                gestureMoved = true;
+            }
+            if (!panning || panning.id !== point.id) return moveDrag(point.id, point.axis);
+            var dx = point.x - panning.x,
+                dy = point.y - panning.y;
+            if (!panning.decided) {
+                if (Math.abs(dx) + Math.abs(dy) < tapDistance / 2) return;
+                panning.decided = true;
+                if (isPannedToEdge(isVertical() ? dy : dx)) {
+                    panning = getUndefined();
+                    registerDrag(point.id, point.axis);
+                    return;
+                }
+            }
+            panning.x = point.x;
+            panning.y = point.y;
+            applyZoom(zoomScale, panX + dx, panY + dy, false);
+        },
+
+        /**
+         * Ends the gesture of a finger or pointer. When a pinch loses a finger the
+         * remaining one pans the zoomed image, and a double tap toggles the zoom
+         *
+         * @private
+         * @param {Object} point Point of the finger or pointer that left
+         * @param {Object[]} remaining Points of the fingers or pointers left
+         * @param {Boolean} tappable If false the gesture can not be a tap
+         */
+        endGesture = function(point, remaining, tappable) {
+            if (pinch) {
+                if (remaining.length > 1) return;
+                pinch = getUndefined();
+                if (remaining.length && isZoomed()) {
+                    startGesture(remaining[0]);
+                    gestureStart = getUndefined();
+                }
+                return;
+            }
+            var dragged = touchId === point.id;
+            if (panning && panning.id === point.id) {
+                panning = getUndefined();
+            } else if (!dragged) {
+                return;
+            }
+            if (tappable && isDoubleTap(point)) {
+                cancelDrag();
+                toggleZoom(point.x, point.y);
+                return;
+            }
+            if (dragged) {
+                releaseDrag(point.id);
+            }
+        },
+
+        /**
+         * Checks if the end of a gesture is the second tap of a double tap
+         *
+         * @private
+         * @param {Object} point Point of the finger or pointer that left
+         * @return {Boolean} Result
+         */
+        isDoubleTap = function(point) {
+            var time = now(),
+                isTap = gestureStart && Math.abs(point.x - gestureStart.x) + Math.abs(point.y - gestureStart.y) < tapDistance,
+                isDouble = isTap && lastTap && !lastTap.zoomed && time - lastTap.time < doubleTapTime &&
+                    Math.abs(point.x - lastTap.x) + Math.abs(point.y - lastTap.y) < tapDistance * 2;
+            lastTap = isTap ? {
+                time: time,
+                x: point.x,
+                y: point.y,
+                zoomed: isDouble
+            } : getUndefined();
+            return isDouble;
+        },
+
+        /*** Lightbox ***/
+
+        /**
+         * Gets the Element shown in fullscreen
+         *
+         * @private
+         * @return {Element} Element, null when nothing is in fullscreen
+         */
+        getFullscreenElm = function() {
+            return doc.fullscreenElement || doc.webkitFullscreenElement || null;
+        },
+
+        /**
+         * Shows the images of the Gallery in a full viewport overlay, with a Gallery
+         * of its own starting at the index. The overlay goes fullscreen where the
+         * Fullscreen API is available
+         *
+         * @private
+         */
+        openLightbox = function() {
+            if (lightbox || !ready || destroyed || !gallery.images.length) return;
+            var overlay = createElm("div"),
+                box = createElm("div"),
+                img = createElm(imgKey),
+                close = createElm("button"),
+                requestFullscreen = overlay.requestFullscreen || overlay.webkitRequestFullscreen,
+                request;
+
+            addClass(overlay, "gallery-lightbox");
+            setAttr(overlay, "role", "dialog");
+            setAttr(overlay, "aria-modal", "true");
+            setAttr(overlay, "aria-label", getAttr(context, "aria-label"));
+
+            /**
+             * Same classes and structure than the context,
+             * so the Gallery styles apply to the overlay too
+             */
+            setAttr(box, classKey, getAttr(context, classKey) || "");
+            setAttr(img, srcKey, gallery.images[index].url);
+            insertAt(img, "beforeend", box);
+            [prevKey, nextKey].forEach(function (positionKey) {
+                var control = createElm("div");
+                addClass(control, positionKey);
+                addClass(control, controlKey);
+                insertAt(control, "beforeend", box);
+            });
+            insertAt(box, "beforeend", overlay);
+
+            setAttr(close, "type", "button");
+            addClass(close, "gallery-lightbox-close");
+            setAttr(close, "aria-label", "Close");
+            close.textContent = "\u00d7";
+            insertAt(close, "beforeend", overlay);
+
+            insertAt(overlay, "beforeend", doc.body);
+            createdElements.push(overlay);
+
+            lightbox = {
+                elm: overlay,
+                gallery: new Gallery(box, gallery.images, extend(extend({}, options), {
+                    lightbox: false,
+                    zoom: true,
+                    autoplay: false,
+                    history: false,
+                    navigationContainer: null,
+                    direction: dirSign < 0 ? "rtl" : "ltr" // The overlay is out of the Elements setting the dir
+                })),
+                focus: doc.activeElement
+            };
+            if (lightbox.gallery.index !== index) {
+                lightbox.gallery.goTo(index, {
+                    animate: false
+                });
+            }
+
+            addEvent(close, "click", closeLightbox);
+            addEvent(overlay, "keydown", function (event) {
+                if (event.key === "Tab") {
+                    trapFocus(event);
+                    return;
+                }
+                if (event.key !== "Escape") return;
+                event.preventDefault();
+                closeLightbox();
+            });
+
+            holdAutoplay("lightbox", true);
+            box.focus();
+            if (requestFullscreen) {
+                request = requestFullscreen.call(overlay);
+                if (request && request.catch) {
+                    request.catch(function () {}); // The overlay still covers the viewport
+                }
+            }
+            emit("lightboxopen", {
+                index: index
+            });
+        },
+
+        /**
+         * Keeps the focus inside the lightbox, the Tab key goes from
+         * its last focusable Element to the first one and back
+         *
+         * @private
+         * @param {KeyboardEvent} event Tab keydown event
+         */
+        trapFocus = function(event) {
+            var focusable = [].filter.call(lightbox.elm.querySelectorAll(
+                    "button, a[href], video[controls], [tabindex]:not([tabindex='-1'])"
+                ), function (elm) {
+                    return !elm.hidden && !elm.closest("[hidden]") && !elm.disabled;
+                }),
+                first = focusable[0],
+                last = focusable[focusable.length - 1];
+            if (!first) return;
+            if (event.shiftKey ? doc.activeElement === first || !lightbox.elm.contains(doc.activeElement) :
+                doc.activeElement === last) {
+                event.preventDefault();
+                (event.shiftKey ? last : first).focus();
+            }
+        },
+
+        /**
+         * Closes the lightbox, the Gallery goes to the last image shown
+         * in the lightbox and the focus goes back where it was
+         *
+         * @private
+         */
+        closeLightbox = function() {
+            if (!lightbox) return;
+            var closing = lightbox,
+                shownIndex = closing.gallery.index,
+                exitFullscreen = doc.exitFullscreen || doc.webkitExitFullscreen;
+            lightbox = getUndefined();
+
+            if (getFullscreenElm() === closing.elm && exitFullscreen) {
+                exitFullscreen.call(doc);
+            }
+            closing.gallery.destroy();
+            if (closing.elm.parentNode) {
+                closing.elm.parentNode.removeChild(closing.elm);
+            }
+            createdElements.splice(createdElements.indexOf(closing.elm), 1);
+
+            gallery.goTo(shownIndex, {
+                animate: false
+            });
+            holdAutoplay("lightbox", false);
+            if (closing.focus && closing.focus.focus) {
+                closing.focus.focus();
+            }
+            emit("lightboxclose", {
+                index: index
+            });
+        },
+
+        /**
+         * Checks if the browser supports Pointer Events
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        hasPointerEvents = function() {
+            return !!window.PointerEvent;
+        },
+
+        /**
+         * Moves the Gallery straight to the image in the index
+         * in a single transition. The element in the movement direction
+         * is painted with the target image before moving, and the element
+         * left behind is painted once the transition has finished
+         *
+         * @private
+         * @param {Number} target Gallery Index to move to
+         * @param {Boolean} forward If true moves as going Next otherwise as going Previous
+         * @param {Boolean} animate If false the images are replaced in place without transition
+         */
+        jumpTo = function(target, forward, animate) {
+            /**
+             * If the Gallery Elements are not ready yet keep
+             * the index to move to once they are
+             */
+            if (destroyed) return;
+            if (!ready) {
+                pendingIndex = target;
+                return;
+            }
+
+            /**
+             * If There's any touch hold or a image change running do nothing
+             */
+            if (target === index || !isUndefined(touchId) || changeRunning) return;
+
+            if (!beforeChange(target, forward)) return;
+
+            var previousImg = query(prevQuery),
+                activeImg = query(activeQuery),
+                nextImg = query(nextQuery),
+                adjacent = target === (forward ? getNextIndex(index) : getPrevIndex(index));
+
+            if (animate === false) {
+                index = target;
+                fillImage(previousImg, getPrevIndex(index));
+                fillImage(activeImg, index);
+                fillImage(nextImg, getNextIndex(index));
+                changed();
+                emit("transitionend", {
+                    index: index
+                });
+                return;
+            }
+
+            /**
+             * Change Visual properties in a Request Animation Frame callback
+             * to wait until all the visual properties has been changed to
+             * let the browser perform a paint
+             */
+            reqFrame(function () {
+                cleanStyles(previousImg, activeImg, nextImg);
+                if (forward) {
+                    setNextOverlap(nextImg, activeImg);
+                    if (!adjacent) {
+                        nextImg = fillImage(nextImg, target);
+                    }
+                    goNext(previousImg, activeImg, nextImg);
+                } else {
+                    setPrevOverlap(activeImg, previousImg);
+                    if (!adjacent) {
+                        previousImg = fillImage(previousImg, target);
+                    }
+                    goPrev(previousImg, activeImg, nextImg);
+                }
+
+                /**
+                 * The effect animates the change, otherwise the styles of the new positions do
+                 */
+                if (effect.change) {
+                    effect.change({
+                        previous: query(prevQuery),
+                        active: query(activeQuery),
+                        next: query(nextQuery)
+                    }, getEffectState({
+                        forward: forward,
+                        size: getImgWidth(query(activeQuery)),
+                        duration: settings.duration,
+                        from: activeImg
+                    }));
+                }
+            });
+
+            /**
+             * Block change execution while the animation is being performed
+             * so that the images do not overlap each other
+             */
+            changeRunning = true;
+            wait(function () {
+                changeRunning = false;
+                if (effect.change) {
+                    cleanStyles(query(prevQuery), query(activeQuery), query(nextQuery));
+                }
+
+                /**
+                 * The element left behind still shows the image the Gallery
+                 * moved from, paint the real neighbour of the new index on it
+                 */
+                if (!adjacent) {
+                    if (forward) {
+                        fillImage(query(prevQuery), getPrevIndex(index));
+                    } else {
+                        fillImage(query(nextQuery), getNextIndex(index));
+                    }
+                    labelSlides();
+                }
+                emit("transitionend", {
+                    index: index
+                });
+                paintChangedImages();
+            }, settings.duration);
+        },
+
+        /**
+         * Moves the Gallery a certain amount of images in one direction
+         *
+         * @private
+         * @param {Boolean} forward If true moves Next otherwise Previous
+         * @param {Number} times Amount of images to move
+         */
+        go = function(forward, times) {
+            if (isUndefined(times) || isNaN(times)) {
+                times = 1;
+            }
+            if (times === 1) {
+                var target = forward ? getNextIndex(index) : getPrevIndex(index);
+                if (target >= 0) {
+                    jumpTo(target, forward);
+                }
+                return;
+            }
+            if (isBounded()) {
+                jumpTo(Math.max(0, Math.min(gallery.images.length - 1, index + (forward ? times : -times))), forward);
+                return;
+            }
+            jumpTo(wrapIndex(index + (forward ? times : -times)), forward);
+        },
+
+        /**
+         * Defines a property to an Object
+         * 
+         * @private         
+         * @param {String} propName Property name
+         * @param {Function} getter Getter function
+         * @param {Function} setter Setter function
+         */
+        defineProp = function(propName, getter, setter) {
+            Object.defineProperty(gallery,
+                propName,
+                {
+                    get: getter,
+                    set: setter
+                });
+        },
+
+        /**
+         * Checks if the gallery has any Spherical Image
+         * 
+         * @private
+         * @return {Boolean} Result
+         */
+        hasSphericalImages = function() {
+            return !!gallery.images.find(function(img) {
+                return img.isSpherical === true;
+            });
+        },
+
+        /**
+         * Loads the resources of the panorama renderer. When the renderer is missing
+         * or fails, the Spherical Images are painted as regular images
+         *
+         * @private
+         * @return {Promise} Promise resolved once the Spherical Images can be rendered
+         */
+        loadPanoramaRenderer = function() {
+            return new Promise(function(resolve) {
+                if (!panoramaRenderer) throw new Error("Unknown panorama renderer " + settings.panorama);
+                resolve(panoramaRenderer.load());
+            }).then(function() {
+                panoramaReady = true;
+            }, function(error) {
+                emit("panoramaerror", {
+                    error: error
+                });
+            });
+        },
+
+        /**
+         * Creates the Element painting the Spherical Images in a place of the Gallery,
+         * the panorama renderer renders the images into it
+         *
+         * @private
+         * @param {Image} regular Regular Image of the place
+         * @return {HTMLDivElement} Spherical Image
+         */
+        createPanorama = function(regular) {
+            var panorama = createElm("div");
+            addClass(panorama, "gallery-panorama");
+            panorama.regularImage = regular;
+            regular.sphericalImage = panorama;
+            createdElements.push(panorama);
+            return panorama;
+        },
+
+        /**
+         * Renders a Spherical Image into its Element, disposing the one rendered before.
+         * Without Gallery image the Element is only disposed
+         *
+         * @private
+         * @param {HTMLDivElement} panorama Spherical Image
+         * @param {Object} image Gallery image
+         */
+        renderPanorama = function(panorama, image) {
+            if (panorama.panoramaImage) {
+                panoramaRenderer.dispose(panorama, panorama.panoramaImage);
+                panorama.panoramaImage = getUndefined();
+            }
+            if (!image) return;
+            try {
+                panoramaRenderer.render(panorama, image);
+                panorama.panoramaImage = image;
+            } catch (error) {
+                flatPanoramas[image.url] = true;
+                emit("panoramaerror", {
+                    error: error,
+                    image: image
+                });
+            }
+        },
+
+        /**
+         * Checks if the active image is a Spherical Image being panned,
+         * the images are not swiped meanwhile
+         *
+         * @private
+         * @return {Boolean} Result
+         */
+        isPanoramaPanning = function() {
+            var activeImg = query(activeQuery);
+            return !!activeImg && getElementType(activeImg) === "spherical" &&
+                !!panoramaRenderer.isPanning && !!panoramaRenderer.isPanning(activeImg);
+        },
+
+        cleanStyles = function() {
+            for (var i = 0; i < arguments.length; i++) {
+                removeAttr(arguments[i], styleKey);
+                if (arguments[i] === zoomElm) {
+                    paintZoom(false);
+                }
+            }
+        },
+        /**
+         * Sets a value to a CSS variable of the Gallery, on its context
+         * so the other Galleries of the page are not affected
+         *
+         * @private
+         * @param {String} cssVarName CSS variable name
+         * @param {String} value Value to set
+         */
+        setCssVar = function(cssVarName, value) {
+            getStyles(context).setProperty(cssVarName, value);
+        },
+
+        /**
+         * Sets the resting positions of the previous, active and next images,
+         * mirrored in right to left Galleries
+         *
+         * @private
+         */
+        setSlotPositions = function() {
+            setCssVar(cssActiveX, "0%");
+            setCssVar(cssPreviousX, -100 * dirSign + "%");
+            setCssVar(cssNextX, 100 * dirSign + "%");
+        };
+
+
+    var settings = extend({
+            duration: 500, // Milliseconds of the change animation, also set to the --gallery-duration CSS variable
+            snapBackDuration: 300, // Milliseconds of the animation moving back a swipe that did not change the image
+            swipeThreshold: 1 / 8, // Part of the image size a swipe must move to change the image
+            lockMargin: 25, // Pixels before the full image size where a swipe stops following the pointer
+            flickVelocity: 0.4, // Pixels per millisecond a swipe must be released at to change the image regardless of its distance
+            flickMinDistance: 10, // Pixels a swipe must move to be taken as a flick
+            classNames: {}, // Class names of the previous, active and next images and of the controls
+            loop: true, // If false the Gallery stops at its first and last images
+            orientation: "horizontal", // "horizontal" or "vertical"
+            transition: "slide", // Name of a registered transition effect (slide, fade, zoom) or an effect Object
+            navigation: false, // "thumbnails" or "dots"
+            navigationContainer: null, // Element to render the Navigation in, by default it goes after the context
+            autoplay: false,
+            autoplayInterval: 5000, // Milliseconds
+            autoplayDirection: "next", // "next" or "previous"
+            preload: 1, // Amount of images to preload at each side beyond the Next and Previous images
+            fallback: null, // URL of the image, or Element, shown instead of the images that fail to load
+            skipOnError: false, // If true the images that failed to load are skipped while navigating
+            retries: 0, // Times a failed image is requested again before giving up
+            retryDelay: 500, // Milliseconds before the first retry, doubled on each retry
+            zoom: false, // If true the active image can be zoomed with a pinch, a double tap or click and the wheel
+            maxZoom: 4, // Maximum scale of the zoom
+            doubleTapZoom: 2, // Scale of the zoom of a double tap or a double click
+            lightbox: false, // If true a click on the active image opens the lightbox, it takes precedence over zoom: the images are only zoomed there
+            panorama: "oViewer", // Name of a registered panorama renderer, or a renderer Object, see Gallery.panoramaRenderers
+            direction: null, // "ltr" or "rtl", by default the dir attribute of the context or its ancestors
+            captions: true, // If true the title, caption and credit of the active image are shown over it
+            counter: false, // If true the position of the active image is shown over it, as "3 / 9"
+            history: false, // "hash" or "query" (true means "hash") writes the active image to the URL so it can be shared
+            historyKey: null // Name of the Gallery in the URL, by default the context id or "gallery" and its creation order
+        }, options),
+        effect = typeof settings.transition === "string" ?
+            (Gallery.transitions[settings.transition] || Gallery.transitions.slide) :
+            (settings.transition || Gallery.transitions.slide),
+        axisKey = settings.orientation === "vertical" ? "y" : "x",
+        dirSign = axisKey === "x" && (settings.direction || getDirection()) === "rtl" ? -1 : 1, // The X values are mirrored in right to left Galleries
+        cssActiveX = "--active-" + axisKey,
+        cssPreviousX = "--previous-" + axisKey,
+        cssNextX = "--next-" + axisKey,
+        index = 0,
+        touches = 0,
+        touchId = getUndefined(),
+        changeRunning = !1,
+        lastX = getUndefined(),
+        dragOffset = 0,
+        dragShown = 0,
+        dragSamples = [],
+        velocitySampleTime = 100, // Milliseconds of the drag measured to get its release velocity
+        tapDistance = 10, // Pixels a finger can move in a tap
+        doubleTapTime = 300, // Milliseconds between the taps of a double tap
+        zoomElm = getUndefined(),
+        zoomScale = 1,
+        zoomCenter = getUndefined(),
+        panX = 0,
+        panY = 0,
+        pointers = {},
+        pinch = getUndefined(),
+        panning = getUndefined(),
+        gestureStart = getUndefined(),
+        gestureMoved = !1,
+        lastTap = getUndefined(),
+        lightbox = getUndefined(),
+        hiddenControls = getUndefined(),
+        panoramaRenderer = typeof settings.panorama === "string" ?
+            Gallery.panoramaRenderers[settings.panorama] :
+            settings.panorama,
+        panoramaReady = !1,
+        flatPanoramas = {},
+        ready = !1,
+        pendingIndex = getUndefined(),
+        destroyed = !1,
+        listeners = [],
+        timeouts = {},
+        frames = {},
+        attrBackups = [],
+        createdElements = [],
+        originalImg = getUndefined(),
+        imagesChanged = !1,
+        onChange = function(){},
+        onPlay = function(){},
+        onPause = function(){},
+        eventListeners = {},
+        lastIndex = getUndefined(),
+        preloaded = {},
+        failed = {},
+        attempts = {},
+        fallbackElm = getUndefined(),
+        playing = !1,
+        autoplayTimer = getUndefined(),
+        autoplayHolds = {},
+        liveRegion = createElm("div"),
+        navigation = getUndefined(),
+        captionsBox = getUndefined(),
+        captionElm = getUndefined(),
+        counterElm = getUndefined(),
+        historyMode = settings.history === true ? "hash" : settings.history,
+        historyKey = settings.historyKey || context.id || (historyMode ? "gallery" + (++Gallery.historyCount) : "");
+
+    gallery.images = images;
+    Gallery.instances.push(gallery);
 
     (function () {
 
@@ -624,201 +3081,358 @@ var Gallery = function (context, images) {
         var bindEvents = function () {
 
             /*** Controls Events Binding ***/
-            queryAll(".control").forEach(function (control) {
+            queryAll(controlQuery).forEach(function (control) {
                 addEvent(control, "click", function () {
-                    /**
-                     * If There's any touch hold or a image change running do nothing
-                     */
-                    if (!isUndefined(touchId) || changeRunning) return;
-                    var previousImg = query(prevQuery),
-                        activeImg = query(activeQuery),
-                        nextImg = query(nextQuery);
+                    if (hasClass(control, nextKey)) {
+                        go(true);
+                    } else if (hasClass(control, prevKey)) {
+                        go(false);
+                    }
+                });
 
-                    /**
-                     * Change Visual properties in a Request Animation Frame callback
-                     * to wait until all the visual properties has been changed to
-                     * let the browser perform a paint
-                     */
-                    reqFrame(function () {
-                        removeAttr(previousImg, styleKey);
-                        removeAttr(activeImg, styleKey);
-                        removeAttr(nextImg, styleKey);
-                        (!hasClass(control, nextKey) ?
-                            setPrevOverlap(activeImg, previousImg) :
-                            setNextOverlap(nextImg, activeImg));
-                        if (hasClass(control, nextKey)) {
-                            goNext(previousImg, activeImg, nextImg);
-                        } else if (hasClass(control, prevKey)) {
-                            goPrev(previousImg, activeImg, nextImg);
+                /**
+                 * The controls behave as buttons when they are focused
+                 */
+                addEvent(control, "keydown", function (event) {
+                    if (event.key !== "Enter" && event.key !== blankKey) return;
+                    event.preventDefault();
+                    control.click();
+                });
+            });
+
+            /*** Navigation Events Binding ***/
+            if (navigation) {
+                addEvent(navigation, "click", function (event) {
+                    var item = event.target.closest(".gallery-navigation-item");
+                    if (!item || !navigation.contains(item)) return;
+                    gallery.goTo(Number(getAttr(item, "data-index")));
+                });
+            }
+
+            /*** Autoplay Holds Binding ***/
+            /**
+             * Only a mouse hovers, a tap triggers compatibility mouse
+             * events without their leave and would hold the autoplay forever
+             */
+            addEvent(context, "pointerenter", function (event) {
+                if (event.pointerType === "mouse") {
+                    holdAutoplay("hover", true);
+                }
+            });
+            addEvent(context, "pointerleave", function (event) {
+                if (event.pointerType === "mouse") {
+                    holdAutoplay("hover", false);
+                }
+            });
+            addEvent(context, "focusin", function () {
+                holdAutoplay("focus", true);
+            });
+            addEvent(context, "focusout", function (event) {
+                if (context.contains(event.relatedTarget)) return;
+                holdAutoplay("focus", false);
+            });
+            addEvent(doc, "visibilitychange", function () {
+                holdAutoplay("hidden", doc.visibilityState === "hidden");
+                if (doc.visibilityState === "hidden") {
+                    [].forEach.call(queryAll("video"), function (video) {
+                        if (!video.paused) {
+                            video.pause();
                         }
                     });
+                } else {
+                    updateVideos(); // The active autoplay video plays again
+                }
+            });
 
-                    /**
-                     * Block change execution while the animation is being performed
-                     * so that the images do not overlap each other
-                     */
-                    changeRunning = true;
-                    setTimeout(function () {
-                        changeRunning = false;
-                    }, 500);
+            /*** History Events Binding, the URL changed outside the Gallery ***/
+            if (historyMode) {
+                addEvent(window, "popstate", followHistory);
+                addEvent(window, "hashchange", followHistory);
+            }
 
+            /*** Lightbox Events Binding, the focus can't leave it and leaving the fullscreen closes it ***/
+            addEvent(doc, "focusin", function (event) {
+                if (lightbox && !lightbox.elm.contains(event.target)) {
+                    lightbox.gallery.context.focus();
+                }
+            });
+            ["fullscreenchange", "webkitfullscreenchange"].forEach(function (eventName) {
+                addEvent(doc, eventName, function () {
+                    if (lightbox && getFullscreenElm() !== lightbox.elm) {
+                        closeLightbox();
+                    }
                 });
             });
 
-            /*** Touch Events Binding ***/
-            queryAll("img.active,img.previous,img.next,.o-viewer.active,.o-viewer.previous,.o-viewer.next").forEach(function (img) {
-                var imageElements = [img];
-                if (hasSphericalImages()) {
-                    var associated = getAssociatedImage(img);
-                    associated = isImage(associated) ? associated : associated.querySelector(".o-viewer-cover");
-                    imageElements.push(associated);
-                }                
-
-                /*** Touch Registration Handler ***/
-                addEvent(imageElements, "touchstart", registerTouch, passive);
+            /*** Images Load Events Binding, load and error do not bubble so they are captured ***/
+            ["load", "error"].forEach(function (eventName) {
+                addEvent(context, eventName, function (event) {
+                    var imgElm = event.target,
+                        image;
+                    if (isUndefined(imgElm.slideIndex) || isVideo(imgElm) || !context.contains(imgElm)) return;
+                    image = gallery.images[imgElm.slideIndex];
 
-                /*** Touch Movement Handler ***/
-                addEvent(imageElements, "touchmove", function (event) {
-                    event.preventDefault();
-                    if (changeRunning) return;
-                    /**                  
-                     * If the "touchmove" event is triggered before the "touchstart"
-                     * register the event's touch
+                    /**
+                     * Only the events of the image itself are handled, not the ones
+                     * of its low quality placeholder, the fallback or a cleaned source
                      */
-                    if (isUndefined(touchId) || isUndefined(lastX)) return registerTouch(event);
+                    if (!image || getAttr(imgElm, srcKey) !== image.url) {
+                        if (getAttr(imgElm, srcKey) === settings.fallback) {
+                            delClass(imgElm, loadingKey);
+                        }
+                        return;
+                    }
+                    if (eventName === "error") {
+                        imageFailed(imgElm);
+                        return;
+                    }
+                    delClass(imgElm, loadingKey);
+                    emit("load", {
+                        index: imgElm.slideIndex,
+                        image: gallery.images[imgElm.slideIndex],
+                        element: imgElm
+                    });
+                }, true);
+            });
 
-                    var touch = getTouch(event);
+            /*** Keyboard Events Binding ***/
+            addEvent(context, "keydown", function (event) {
+                if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+                switch (event.key) {
+                    case getArrowKey(true):
+                        go(true);
+                        break;
+                    case getArrowKey(false):
+                        go(false);
+                        break;
+                    case "Home":
+                        gallery.goTo(0);
+                        break;
+                    case "End":
+                        gallery.goTo(gallery.images.length - 1);
+                        break;
+                    case "Enter":
+                        if (!settings.lightbox || event.target !== context) return;
+                        openLightbox();
+                        break;
+                    default:
+                        return;
+                }
+                event.preventDefault();
+            });
 
-                    /**
-                     * Check for the touch Id to avoid multitouch issues
-                     */
-                    if (touchId !== getTouchId(touch)) return;                    
+            if (hasPointerEvents()) {
+                backupAttrs(context, [styleKey]);
+                updateTouchAction();
+            }
 
-                    /**
-                     * Calculate touch move measure
-                     */
-                    var newX = getTouchX(touch),
-                        diff = lastX - newX,
-                        prevImg = query(prevQuery),
-                        activeImg = query(activeQuery),
-                        nextImg = query(nextQuery),
-                        activeWidth = getImgWidth(activeImg),
-                        prevX = getImgX(prevImg) || activeWidth * -1,
-                        activeX = getImgX(activeImg),
-                        nextX = getImgX(nextImg) || activeWidth,
-                        tDiff = activeX - diff; // Total difference: Total movement of the left image edge
-
-                    lastX = newX; // Overwrite Last X value with the Nex X value
+            /*** Touch Events Binding ***/
+            queryAll([prevQuery, activeQuery, nextQuery].map(function (positionQuery) {
+                return imgKey + positionQuery + ",.gallery-panorama" + positionQuery + ",video" + positionQuery;
+            }).join(",")).forEach(function (img) {
+                var imageElements = getSlotElements(img);
 
-                    /**
-                     * If the Total difference is greater the the width of the
-                     * active image, using 25px as margin, lock the gallery movement
-                     */
-                    if (Math.abs(tDiff) > (activeWidth - 25)) return;
+                /*** Video Events Binding, a playing video holds the autoplay ***/
+                var video = getAssociatedImage(img, "video");
+                addEvent(video, "play", function () {
+                    holdAutoplay("video", true);
+                });
+                ["pause", "ended", "emptied"].forEach(function (eventName) {
+                    addEvent(video, eventName, function () {
+                        holdAutoplay("video", false);
+                    });
+                });
 
+                /*** Lightbox Events Binding, a click on the active image opens it ***/
+                addEvent(imageElements, "click", function (event) {
                     /**
-                     * Perform the follow touch movement, await until the X values of
-                     * the images has been updated to let the browser paint the screen                 
+                     * The click ending a swipe does not play or pause the video
                      */
-                    reqFrame(function () {
-                        setImgX(prevImg, prevX - diff);
-                        setImgX(activeImg, tDiff);
-                        setImgX(nextImg, nextX - diff);
-                        //addClass(context, "swiping");
-                    });
+                    if (isVideo(event.currentTarget)) {
+                        if (gestureMoved) {
+                            event.preventDefault();
+                        }
+                        return;
+                    }
+                    if (!settings.lightbox || gestureMoved || !hasClass(event.currentTarget, activeKey)) return;
+                    openLightbox();
+                });
 
-                },{passive:false});
+                /*** Zoom Events Binding, the wheel only stops scrolling the page when the zoom is enabled ***/
+                if (settings.zoom && !settings.lightbox) {
+                    addEvent(imageElements, "dblclick", function (event) {
+                        /**
+                         * A double tap already toggled the zoom
+                         */
+                        if (lastTap && lastTap.zoomed && now() - lastTap.time < doubleTapTime * 2) return;
+                        if (isZoomed() || canZoom()) {
+                            toggleZoom(event.clientX, event.clientY);
+                        }
+                    });
+                    addEvent(imageElements, "wheel", function (event) {
+                        /**
+                         * The wheel scrolls the page unless the active image is zoomed,
+                         * a control key press or a touchpad pinch zooms it
+                         */
+                        if (!canZoom() || !(event.ctrlKey || isZoomed())) return;
+                        event.preventDefault();
+                        var delta = event.deltaY * (event.deltaMode === 1 ? 33 : 1); // Lines to pixels
+                        zoomAt(zoomScale * Math.pow(2, -delta / 300), event.clientX, event.clientY, false);
+                    }, {passive: false});
+                }
 
-                /*** Touch End Handler ***/
-                addEvent(imageElements, "touchend", function (event) {
-                    if (changeRunning) return;
-                    touches--;
+                /**
+                 * Mouse, pen and touch are handled through Pointer Events where available,
+                 * the Touch Events are only used as fallback so a drag is not handled twice
+                 */
+                if (hasPointerEvents()) {
 
-                    var touch = getTouch(event);
+                    /*** Pointer Registration Handler ***/
+                    addEvent(imageElements, "pointerdown", function (event) {
+                        if (event.pointerType === "mouse" && event.button !== 0) return;
 
-                    /**
-                     * If the touch Id of the leaving touch is the
-                     * same of the registered touch, continue.
-                     * If the touches are greater than 0 do nothing.
-                     */
-                    if (touchId !== getTouchId(touch) || touches > 0) return;
+                        /**
+                         * Avoid the native image drag and the text selection of the mouse,
+                         * the video controls still need the mouse events
+                         */
+                        if (event.pointerType !== "touch" && !isVideo(event.currentTarget)) {
+                            event.preventDefault();
+                        }
+                        var point = getPoint(event, event.pointerId),
+                            ids;
+                        pointers[point.id] = point;
+                        ids = Object.keys(pointers);
 
-                    /**
-                     * Clean the variables
-                     */
-                    touchId = getUndefined();
-                    lastX = getUndefined();
+                        /**
+                         * A second finger pinches, only the primary pointer starts the other gestures
+                         */
+                        if (ids.length === 2 ? !startPinch(pointers[ids[0]], pointers[ids[1]]) : !event.isPrimary || !startGesture(point)) return;
 
-                    var prevImg = query(prevQuery),
-                        activeImg = query(activeQuery),
-                        nextImg = query(nextQuery),
-                        activeX = getImgX(activeImg),
-                        prevX = getImgX(prevImg),
-                        nextX = getImgX(nextImg),
-                        activeWidth = getImgWidth(activeImg);
+                        /**
+                         * Capture the pointer so its movement is received
+                         * even when it leaves the image
+                         */
+                        event.currentTarget.setPointerCapture(event.pointerId);
+                    });
 
-                    /**
-                     * Perform the animation after touch left, but await until the Functions
-                     * has been executed to let the browser paint the screen again
-                     */
-                    reqFrame(function () {                        
+                    /*** Pointer Movement Handler ***/
+                    addEvent(imageElements, "pointermove", function (event) {
                         /**
-                         * If the X value of the active image is greater than
-                         * the eighth part of the full active image width, perform the change
-                         * according to the symbol(+/-) of the active image's X value
+                         * Pointer Events are triggered without a press (mouse hover)
+                         * only the pressed pointers are followed
                          */
-                        setCssVar(cssActiveX, activeX+"px");
-                        setCssVar(cssPreviousX, prevX+"px");
-                        setCssVar(cssNextX, nextX+"px");
-
-                        if (Math.abs(activeX) > (activeWidth / 8)) {
-                            setXAnimationTime(0.5);
-                            if (activeX < 0) {
-                                setNextOverlap(nextImg, activeImg);
-                                setImgX(nextImg, 0);
-                                setImgX(activeImg, activeWidth * -1);
-                                setAnimationTime(prevImg, transformKey, 0);
-                                setImgX(prevImg, activeWidth);
-                                setTimeout(function() {
-                                    goNext(prevImg, activeImg, nextImg);
-                                    cleanStyles(prevImg, activeImg, nextImg);                                    
-                                }, 500);
-                            } else {
-                                setPrevOverlap(activeImg, prevImg);
-                                setImgX(prevImg, 0);
-                                setImgX(activeImg, activeWidth);
-                                setAnimationTime(nextImg, transformKey, 0);
-                                setImgX(nextImg, activeWidth * -1);
-                                setTimeout(function() {
-                                    goPrev(prevImg, activeImg, nextImg);
-                                    cleanStyles(prevImg, activeImg, nextImg);
-                                }, 500);
+                        if (!pointers[event.pointerId]) return;
+                        var point = pointers[event.pointerId] = getPoint(event, event.pointerId),
+                            ids = Object.keys(pointers);
+                        if (pinch) {
+                            if (ids.length > 1) {
+                                movePinch(pointers[ids[0]], pointers[ids[1]]);
                             }
-                        } else {
-                            setXAnimationTime(0.3);
-                            setImgX(nextImg, activeWidth);
-                            setImgX(activeImg, 0);                            
-                            setImgX(prevImg, activeWidth * -1);
-                            setTimeout(function () {                 
-                                cleanStyles(prevImg, activeImg, nextImg);
-                            }, 300);
-                        }  
-
-                        setCssVar(cssActiveX, "0%");
-                        setCssVar(cssPreviousX, "-100%");
-                        setCssVar(cssNextX, "100%");
+                            return;
+                        }
+                        if (touchId !== point.id && !(panning && panning.id === point.id)) return;
+                        moveGesture(point);
+                    }, passive);
 
-                    });
+                    /*** Pointer End Handler ***/
+                    var pointerEnd = function (event) {
+                        var point = pointers[event.pointerId];
+                        if (!point) return;
+                        delete pointers[event.pointerId];
+
+                        /**
+                         * A cancel is not a release, the browser took the pointer (a scroll),
+                         * so the swipe moves back instead of changing the image
+                         */
+                        if (event.type === "pointercancel" && touchId === point.id) {
+                            cancelDrag();
+                        }
+                        endGesture(point, Object.keys(pointers).map(function (id) {
+                            return pointers[id];
+                        }), event.type === "pointerup" && event.pointerType !== "mouse");
+                    };
+                    addEvent(imageElements, "pointerup", pointerEnd, passive);
+                    addEvent(imageElements, "pointercancel", pointerEnd, passive);
+
+                    return;
+                }
 
-                    changeRunning = true;
-                    setTimeout(function () {
-                        changeRunning = false;
-                    }, 500);
+                /*** Touch Registration Handler ***/
+                addEvent(imageElements, "touchstart", registerTouch, passive);
+
+                /*** Touch Movement Handler ***/
+                addEvent(imageElements, "touchmove", function (event) {
+                    event.preventDefault();
+                    var all = event.touches;
+                    if (pinch) {
+                        if (all.length > 1) {
+                            movePinch(getTouchPoint(all[0]), getTouchPoint(all[1]));
+                        }
+                        return;
+                    }
+                    moveGesture(getTouchPoint(getTouch(event)));
+                },{passive:false});
 
+                /*** Touch End Handler ***/
+                addEvent(imageElements, "touchend", function (event) {
+                    endGesture(getTouchPoint(event.changedTouches[0]), [].map.call(event.touches, getTouchPoint), true);
                 }, passive);
             });
         };
 
+        /*** Gallery Start, once its Elements are in place ***/
+        var start = function () {
+            bindEvents();
+            ready = true;
+
+            /**
+             * The images loaded before the load events were bound are not loading anymore
+             */
+            [query(prevQuery), query(activeQuery), query(nextQuery)].forEach(function (imgElm) {
+                if (isImage(imgElm) && imgElm.complete && imgElm.naturalWidth) {
+                    delClass(imgElm, loadingKey);
+                }
+            });
+
+            /**
+             * Paint the images changed while the Elements were not ready
+             */
+            paintChangedImages();
+            labelSlides();
+
+            /**
+             * Move to the index requested while the Elements were not ready
+             */
+            if (!isUndefined(pendingIndex)) {
+                jumpTo(pendingIndex, true, false);
+                pendingIndex = getUndefined();
+            }
+            updateControls();
+            updateCaption();
+            updateCounter();
+
+            lastIndex = index;
+            preloadAround(true);
+            updateVideos();
+
+            /**
+             * Let the code creating the Gallery add its listeners
+             * before the ready event is triggered
+             */
+            wait(function () {
+                emit("ready", {
+                    index: index
+                });
+            }, 0);
+
+            autoplayHolds.hidden = doc.visibilityState === "hidden";
+            if (settings.autoplay) {
+                setPlaying(true);
+            } else {
+                scheduleAutoplay(); // play() may have been called while the Elements were not ready
+            }
+        };
+
         /*** Gallery Initialization ***/
         (function () {
             var images = gallery.images,
@@ -832,103 +3446,416 @@ var Gallery = function (context, images) {
             var nextIndex;
             var prevIndex;
 
+            /*** Keep the original markup to restore it when the Gallery is destroyed ***/
+            originalImg = {
+                elm: active.cloneNode(true),
+                parent: active.parentNode,
+                anchor: active.nextSibling
+            };
+            createdElements.push(active, previous, next, liveRegion);
+
             /*** Images Set Up ***/
             addClass(active, activeKey);
             addClass(previous, prevKey);
             addClass(next, nextKey);
 
+            /*** Animation duration shared with the styles, so they can't drift apart ***/
+            backupAttrs(context, [styleKey]);
+            getStyles(context).setProperty("--gallery-duration", settings.duration + "ms");
+
+            /*** Carousel semantics ***/
+            backupAttrs(context, ["role", "aria-roledescription", "aria-label", "tabindex", classKey]);
+
+            /*** Orientation class, so the styles can move the images on the Y axis ***/
+            if (isVertical()) {
+                addClass(context, "vertical");
+            }
+
+            /*** Direction class, so the styles can mirror the controls, the positions are mirrored by the Gallery ***/
+            if (dirSign < 0) {
+                addClass(context, "rtl");
+                setSlotPositions();
+            }
+
+            /*** Transition effect class, its styles go with it ***/
+            if (effect.className) {
+                addClass(context, effect.className);
+            }
+
+            /**
+             * The styles of the effect are shared by the Galleries using it, they stay in the document
+             */
+            if (effect.css) {
+                var effectCss = effect.css({
+                    previous: prevKey,
+                    active: activeKey,
+                    next: nextKey
+                });
+                if (!Gallery.transitionStyles[effectCss]) {
+                    Gallery.transitionStyles[effectCss] = createElm("style");
+                    Gallery.transitionStyles[effectCss].textContent = effectCss;
+                    insertAt(Gallery.transitionStyles[effectCss], "beforeend", doc.head);
+                }
+            }
+            setAttr(context, "role", "region");
+            setAttr(context, "aria-roledescription", "carousel");
+            setDefaultAttr(context, "aria-label", "Gallery");
+            setDefaultAttr(context, "tabindex", "0");
+
+            queryAll(controlQuery).forEach(function (control) {
+                backupAttrs(control, ["role", "tabindex", "aria-label", "aria-disabled", classKey]);
+                setAttr(control, "role", "button");
+                setDefaultAttr(control, "tabindex", "0");
+                setDefaultAttr(control, "aria-label", hasClass(control, nextKey) ? "Next image" : "Previous image");
+            });
+
+            /*** Live region announcing the active image, hidden visually ***/
+            setAttr(liveRegion, "aria-live", playing ? "off" : "polite");
+            setAttr(liveRegion, "aria-atomic", "true");
+            setAttr(liveRegion, styleKey, "position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;");
+            insertAt(liveRegion, "beforeend", context);
+
+            /*** Navigation, thumbnails or dots jumping to its image ***/
+            if (settings.navigation) {
+                navigation = createElm("div");
+                addClass(navigation, "gallery-navigation");
+                addClass(navigation, "gallery-" + settings.navigation);
+                setAttr(navigation, "aria-label", "Gallery navigation");
+                if (settings.navigationContainer) {
+                    insertAt(navigation, "beforeend", settings.navigationContainer);
+                } else {
+                    insertAt(navigation, "afterend", context);
+                }
+                createdElements.push(navigation);
+            }
+
+            /*** Fallback Element shown while the active image failed to load ***/
+            if (settings.fallback && !(typeof settings.fallback === "string")) {
+                fallbackElm = settings.fallback.cloneNode(true);
+                addClass(fallbackElm, "gallery-fallback");
+                fallbackElm.hidden = true;
+                insertAt(fallbackElm, "beforeend", context);
+                createdElements.push(fallbackElm);
+            }
+
             /*** Index initialization is based on the image already loaded ***/
-            index = images.findIndex(function (img) {
+            index = Math.max(0, images.findIndex(function (img) {
                 return img.url === currentSrc;
+            }));
+            active.slideIndex = index;
+            active.slideImage = images[index];
+
+            /*** A shared URL moves to its image once the Gallery starts ***/
+            var historyIndex = readHistory();
+            if (!isUndefined(historyIndex) && historyIndex !== index) {
+                pendingIndex = historyIndex;
+            }
+            if (!(active.complete && active.naturalWidth)) {
+                addClass(active, loadingKey);
+            }
+            if (images[index]) {
+                setResponsiveSrc(active, images[index]);
+                if (!active.hasAttribute(altKey)) {
+                    setAlt(active, images[index].alt, images[index]);
+                }
+            }
+
+            nextIndex = getNextIndex(index);
+            prevIndex = getPrevIndex(index);
+
+            renderNavigation();
+
+            /*** Videos painted in the places of the images ***/
+            [active, previous, next].forEach(createVideo);
+
+            /*** Images DOM Insertion, once the Spherical Images can be rendered ***/
+            var insertImages = function () {
+                if (destroyed) return;
+                if (panoramaReady) {
+                    [active, previous, next].forEach(createPanorama);
+                }
+                if (images[index] && getImageType(images[index]) !== "regular") {
+                    active = fillImage(active, index);
+                }
+                next = fillImage(next, nextIndex);
+                previous = fillImage(previous, prevIndex);
+
+                insertAt(getSlideBox(previous), "beforebegin", getSlideBox(active));
+                insertAt(getSlideBox(next), "afterend", getSlideBox(active));
+
+                start();
+            };
+
+            if (!hasSpherical) {
+                insertImages();
+            } else {
+                loadPanoramaRenderer().then(insertImages).catch(function (error) {
+                    emit("panoramaerror", {
+                        error: error
+                    });
+
+                    /**
+                     * The renderer broke the insertion, the Gallery starts with regular images
+                     */
+                    if (ready || destroyed) return;
+                    panoramaReady = false;
+                    insertImages();
+                });
+            }
+        })();
+    })();
+
+    /**
+     * Goes to the next image
+     * 
+     * @public
+     * @readonly          
+     * @param {Number} times Times to repeat
+     */
+    defineProp("goNext", function () {
+        return function (times) {
+            go(true, times);
+        };
+    });
+
+    /**
+     * Goes to the previous Image
+     * 
+     * @public
+     * @readonly
+     * @param {Number} times Times to repeat
+     */
+    defineProp("goPrev", function () {
+        return function (times) {
+            go(false, times);
+        };
+    });
+
+    /**
+     * Goes straight to the image in the index, moving
+     * through the shortest direction around the Gallery
+     * unless the Gallery is bounded
+     *
+     * @public
+     * @readonly
+     * @param {Number} target Index of the image to go to
+     * @param {Object} options Options, animate: false replaces the images without transition
+     */
+    defineProp("goTo", function () {
+        return function (target, options) {
+            var length = gallery.images.length,
+                forwardSteps;
+            target = Number(target);
+            if (isNaN(target) || target % 1 || target < 0 || target >= length) return;
+            forwardSteps = wrapIndex(target - index);
+            jumpTo(target, isBounded() ? target > index : forwardSteps <= length - forwardSteps, !options || options.animate !== false);
+        };
+    });
+
+    /**
+     * Zooms the active image keeping its visible center in place,
+     * a scale of 1 takes the zoom out
+     *
+     * @public
+     * @readonly
+     * @param {Number} scale Scale, up to the maxZoom option
+     * @param {Object} options Options, animate: false zooms without transition
+     */
+    defineProp("zoomTo", function () {
+        return function (scale, options) {
+            var animate = !options || options.animate !== false,
+                center;
+            scale = Number(scale);
+            if (isNaN(scale)) return;
+            if (scale <= 1) return resetZoom(animate);
+            if (!canZoom()) return;
+            center = getZoomCenter();
+            zoomAt(scale, center.x + panX, center.y + panY, animate);
+        };
+    });
+
+    /**
+     * Adds images to the Gallery
+     *
+     * @public
+     * @readonly
+     * @param {Object | Object[]} newImages Image or Images to add
+     * @param {Number} at Index where the images are inserted, by default at the end
+     */
+    defineProp("addImages", function () {
+        return function (newImages, at) {
+            var list = gallery.images.slice();
+            newImages = [].concat(newImages);
+            if (!newImages.length) return;
+            if (typeof at !== "number" || isNaN(at) || at > list.length) {
+                at = list.length;
+            }
+            at = Math.max(0, at);
+            list.splice.apply(list, [at, 0].concat(newImages));
+            setImages(list, at <= index ? index + newImages.length : index);
+        };
+    });
+
+    /**
+     * Removes an image from the Gallery, the last image can't be removed
+     *
+     * @public
+     * @readonly
+     * @param {Number} i Index of the image to remove
+     */
+    defineProp("removeImage", function () {
+        return function (i) {
+            if (!isIndex(i) || gallery.images.length === 1) return;
+            var list = gallery.images.slice();
+            list.splice(i, 1);
+            setImages(list, i < index ? index - 1 : index);
+        };
+    });
+
+    /**
+     * Replaces all the images of the Gallery
+     *
+     * @public
+     * @readonly
+     * @param {Object[]} newImages New images, an empty list is ignored
+     * @param {Object} options Options, keepIndex: true stays in the current index instead of going to the first image
+     */
+    defineProp("replaceImages", function () {
+        return function (newImages, options) {
+            if (!newImages || !newImages.length) return;
+            setImages(newImages.slice(), options && options.keepIndex ? index : 0);
+        };
+    });
+
+    /**
+     * Moves an image of the Gallery to another index,
+     * the active image stays active after the move
+     *
+     * @public
+     * @readonly
+     * @param {Number} from Index of the image to move
+     * @param {Number} to Index to move the image to
+     */
+    defineProp("moveImage", function () {
+        return function (from, to) {
+            if (!isIndex(from) || !isIndex(to) || from === to) return;
+            var list = gallery.images.slice(),
+                newIndex = index;
+            list.splice(to, 0, list.splice(from, 1)[0]);
+            if (from === index) {
+                newIndex = to;
+            } else if (from < index && to >= index) {
+                newIndex--;
+            } else if (from > index && to <= index) {
+                newIndex++;
+            }
+            setImages(list, newIndex);
+        };
+    });
+
+    /**
+     * Destroys the Gallery, detaching its events, cancelling its pending
+     * animations and restoring the markup it was created from
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("destroy", function () {
+        return function () {
+            if (destroyed) return;
+            if (lightbox) {
+                lightbox.gallery.destroy();
+                lightbox = getUndefined();
+            }
+            destroyed = true;
+            ready = false;
+            playing = false;
+
+            listeners.forEach(function (listener) {
+                listener[0].removeEventListener(listener[1], listener[2], listener[3]);
+            });
+            Object.keys(timeouts).forEach(function (id) {
+                clearTimeout(Number(id));
+            });
+            Object.keys(frames).forEach(function (id) {
+                cancelAnimationFrame(Number(id));
+            });
+
+            createdElements.forEach(function (elm) {
+                if (elm.panoramaImage) {
+                    renderPanorama(elm);
+                }
+                if (elm.parentNode) {
+                    elm.parentNode.removeChild(elm);
+                }
+            });
+            originalImg.parent.insertBefore(originalImg.elm, originalImg.anchor);
+
+            /**
+             * Restore in reverse order so the first value kept wins
+             * when the same Attribute has been kept more than once
+             */
+            attrBackups.reverse().forEach(function (backup) {
+                if (backup[2] === null) {
+                    removeAttr(backup[0], backup[1]);
+                } else {
+                    setAttr(backup[0], backup[1], backup[2]);
+                }
             });
 
-            if (images.length > 2) {
-                nextIndex = index + 1 === images.length ? 0 : index + 1;
-                prevIndex = index - 1 < 0 ? images.length - 1 : index - 1;
-            } else {
-                nextIndex = images.length === 1 ? 0 : 1;
-                prevIndex = images.length === 1 ? 0 : 1;
+            var instanceIndex = Gallery.instances.indexOf(gallery);
+            if (instanceIndex >= 0) {
+                Gallery.instances.splice(instanceIndex, 1);
             }
 
-            if (!hasSpherical) {
-                /*** Images DOM Insertion ***/
-                setSrc(next, images[nextIndex].url);
-                setAlt(next, images[nextIndex].alt);
-
-                setSrc(previous, images[prevIndex].url);
-                setAlt(previous, images[prevIndex].alt);                
-
-                insertAt(previous, "beforebegin", active);
-                insertAt(next, "afterend", active);
+            listeners = [];
+            timeouts = {};
+            frames = {};
+            attrBackups = [];
+            createdElements = [];
+            onChange = function(){};
+            onPlay = function(){};
+            onPause = function(){};
+            eventListeners = {};
+            preloaded = {};
+            failed = {};
+            attempts = {};
+            zoomElm = getUndefined();
+            pointers = {};
+            pinch = getUndefined();
+            panning = getUndefined();
+        };
+    });
 
-                bindEvents();
-            } else {
-                loadSphericalResourcesForDesktop(function () {
-                    var options = {
-                            width: 0,
-                            height: 0,
-                            container: createElm("div")
-                        },
-                        activeSpherical = oViewer.render(createElm(imgKey), options).element,
-                        previousSpherical = oViewer.render(createElm(imgKey), options).element,
-                        nextSpherical = oViewer.render(createElm(imgKey), options).element,
-                        previousToPaint = images[prevIndex].isSpherical ? previousSpherical : previous,
-                        nextToPaint = images[nextIndex].isSpherical ? nextSpherical : next;
-
-                    addClass(activeSpherical, activeKey);
-                    addClass(previousSpherical, prevKey);
-                    addClass(nextSpherical, nextKey);
-
-                    /*** Set Up References ***/
-                    active.sphericalImage = activeSpherical;
-                    previous.sphericalImage = previousSpherical;
-                    next.sphericalImage = nextSpherical;
-
-                    activeSpherical.regularImage = active;
-                    previousSpherical.regularImage = previous;
-                    nextSpherical.regularImage = next;
-
-                    /*** Set Up Src and Alt ***/
-                    setSrc(nextToPaint, images[nextIndex].url);
-                    setAlt(nextToPaint, images[nextIndex].alt);
-
-                    setSrc(previousToPaint, images[prevIndex].url);
-                    setAlt(previousToPaint, images[prevIndex].alt);                    
-
-                    insertAt(nextToPaint, "beforebegin", active);
-                    insertAt(previousToPaint, "afterend", active);
-                    tryToggleImageType(active, index);
-
-                    bindEvents();
-                });
-            }
-        })();
-    })();
+    /**
+     * Opens the lightbox, showing the images in a full viewport
+     * overlay starting at the index
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("openLightbox", function () {
+        return openLightbox;
+    });
 
     /**
-     * Goes to the next image
-     * 
+     * Closes the lightbox, the Gallery goes to the last image shown there
+     *
      * @public
-     * @readonly          
-     * @param {Number} times Times to repeat
+     * @readonly
      */
-    defineProp("goNext", function () {
-        return function (times) {
-            go(goNext, times);
-        };
+    defineProp("closeLightbox", function () {
+        return closeLightbox;
     });
 
     /**
-     * Goes to the previous Image
-     * 
+     * Gets the context Element of the Gallery
+     *
      * @public
      * @readonly
-     * @param {Number} times Times to repeat
      */
-    defineProp("goPrev", function () {
-        return function (times) {
-            go(goPrev, times);
-        };
+    defineProp("context", function () {
+        return context;
     });
 
     /**
@@ -941,6 +3868,16 @@ var Gallery = function (context, images) {
         return index;
     });
 
+    /**
+     * Gets the scale of the zoom of the active image, 1 when it is not zoomed
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("zoom", function () {
+        return zoomScale;
+    });
+
     /**
      * Has Spherical Images result
      * 
@@ -966,4 +3903,616 @@ var Gallery = function (context, images) {
             }
         }
     );
-};
\ No newline at end of file
+
+    /**
+     * Adds a listener to a Gallery event: ready, beforechange (cancelable),
+     * change, transitionend, swipestart, swipemove, swipeend, load, error, play and pause
+     *
+     * @public
+     * @readonly
+     * @param {String} type Event's name
+     * @param {Function} fn Listener, receives the event Object
+     * @return {Gallery} Gallery
+     */
+    defineProp("on", function () {
+        return function (type, fn) {
+            if (fn instanceof Function) {
+                (eventListeners[type] = eventListeners[type] || []).push(fn);
+            }
+            return gallery;
+        };
+    });
+
+    /**
+     * Removes a listener of a Gallery event, or all its listeners if none is given
+     *
+     * @public
+     * @readonly
+     * @param {String} type Event's name
+     * @param {Function} fn Listener to remove
+     * @return {Gallery} Gallery
+     */
+    defineProp("off", function () {
+        return function (type, fn) {
+            if (!eventListeners[type]) return gallery;
+            eventListeners[type] = isUndefined(fn) ? [] : eventListeners[type].filter(function (listener) {
+                return listener !== fn && listener.listener !== fn;
+            });
+            return gallery;
+        };
+    });
+
+    /**
+     * Adds a listener to a Gallery event that is removed after its first execution
+     *
+     * @public
+     * @readonly
+     * @param {String} type Event's name
+     * @param {Function} fn Listener, receives the event Object
+     * @return {Gallery} Gallery
+     */
+    defineProp("once", function () {
+        return function (type, fn) {
+            if (!(fn instanceof Function)) return gallery;
+            var listener = function (event) {
+                gallery.off(type, listener);
+                fn.call(gallery, event);
+            };
+            listener.listener = fn; // Lets off remove it using the original Function
+            return gallery.on(type, listener);
+        };
+    });
+
+    /**
+     * Gets if the Gallery Elements are ready
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("ready", function () {
+        return ready;
+    });
+
+    /**
+     * Starts the autoplay
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("play", function () {
+        return function () {
+            setPlaying(true);
+        };
+    });
+
+    /**
+     * Stops the autoplay
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("pause", function () {
+        return function () {
+            setPlaying(false);
+        };
+    });
+
+    /**
+     * Starts the autoplay if it is stopped, otherwise stops it
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("toggle", function () {
+        return function () {
+            setPlaying(!playing);
+        };
+    });
+
+    /**
+     * Gets if the Gallery is playing
+     *
+     * @public
+     * @readonly
+     */
+    defineProp("playing", function () {
+        return playing;
+    });
+
+    /**
+     * Function to trigger each time the autoplay starts
+     *
+     * @public
+     */
+    defineProp("onPlay",
+        function () {
+            return onPlay;
+        },
+        function (value) {
+            if (value instanceof Function) {
+                onPlay = value;
+            }
+        }
+    );
+
+    /**
+     * Function to trigger each time the autoplay stops
+     *
+     * @public
+     */
+    defineProp("onPause",
+        function () {
+            return onPause;
+        },
+        function (value) {
+            if (value instanceof Function) {
+                onPause = value;
+            }
+        }
+    );
+};
+
+/**
+ * Transition effects available for the Galleries, set one using the
+ * transition option. An effect has the following members:
+ *
+ * className {String} Class added to the Gallery context, the styles of the effect go with it
+ * properties {String} CSS properties animated by the effect, comma separated
+ * drag {Function} Follows a swipe, receives the previous, active and next images and
+ *     a state with the offset, the progress (0 to 1), the direction (forward) and the size of the active image
+ * settle {Function} Places the images at the end of a swipe, receives the images and
+ *     a state with the direction (forward), the size and if the change is committed (commit)
+ * change {Function} Optional, animates the changes not made by a swipe (controls, keys, goTo, autoplay).
+ *     Receives the images already in their new places and a state with the direction (forward),
+ *     the size, the duration and the image the Gallery moved from (from). Their styles are cleaned after the duration
+ * css {Function} Optional, returns the styles of the effect for the class names of the previous,
+ *     active and next images, they are added to the document with the first Gallery using the effect.
+ *     Gallery.selectSlides builds their selectors
+ *
+ * The states include vertical and a translate Function moving an image along the Gallery axis
+ *
+ * @public
+ */
+Gallery.transitions = {
+    slide: {
+        className: "",
+        properties: "transform",
+        drag: function (slides, state) {
+            state.translate(slides.previous, state.offset - state.size);
+            state.translate(slides.active, state.offset);
+            state.translate(slides.next, state.offset + state.size);
+        },
+        settle: function (slides, state) {
+            if (!state.commit) {
+                state.translate(slides.previous, state.size * -1);
+                state.translate(slides.active, 0);
+                state.translate(slides.next, state.size);
+                return;
+            }
+            var sign = state.forward ? 1 : -1,
+                incoming = state.forward ? slides.next : slides.previous,
+                recycled = state.forward ? slides.previous : slides.next;
+            state.translate(incoming, 0);
+            state.translate(slides.active, state.size * -sign);
+
+            /**
+             * The image leaving the opposite side jumps straight
+             * to where it is going to be recycled
+             */
+            recycled.style.transition = "transform 0s";
+            state.translate(recycled, state.size * sign);
+        }
+    },
+    fade: {
+        className: "gallery-fade",
+        properties: "opacity",
+        drag: function (slides, state) {
+            var incoming = state.forward ? slides.next : slides.previous,
+                other = state.forward ? slides.previous : slides.next;
+            slides.active.style.opacity = 1 - state.progress;
+            incoming.style.opacity = state.progress;
+            other.style.opacity = 0;
+        },
+        settle: function (slides, state) {
+            var incoming = state.forward ? slides.next : slides.previous;
+            slides.active.style.opacity = state.commit ? 0 : 1;
+            incoming.style.opacity = state.commit ? 1 : 0;
+        },
+        css: function (classNames) {
+            var select = Gallery.selectSlides;
+            return select("gallery-fade") + "{transition:opacity var(--gallery-duration,0.5s),transform var(--gallery-duration,0.5s);}" +
+                select("gallery-fade", classNames.previous) + "," + select("gallery-fade", classNames.next) + "{transform:translateY(-50%);opacity:0;}" +
+                select("gallery-fade", classNames.active) + "{transform:translateY(-50%);opacity:1;}";
+        }
+    },
+    zoom: {
+        className: "gallery-zoom",
+        properties: "transform, opacity",
+        drag: function (slides, state) {
+            var incoming = state.forward ? slides.next : slides.previous,
+                other = state.forward ? slides.previous : slides.next,
+                sign = state.forward ? 1 : -1;
+            Gallery.transitions.zoom.scale(slides.active, 1 + 0.2 * state.progress * sign, state);
+            Gallery.transitions.zoom.scale(incoming, 1 - 0.2 * (1 - state.progress) * sign, state);
+            slides.active.style.opacity = 1 - state.progress;
+            incoming.style.opacity = state.progress;
+            other.style.opacity = 0;
+        },
+        settle: function (slides, state) {
+            var incoming = state.forward ? slides.next : slides.previous,
+                sign = state.forward ? 1 : -1;
+            Gallery.transitions.zoom.scale(slides.active, state.commit ? 1 + 0.2 * sign : 1, state);
+            Gallery.transitions.zoom.scale(incoming, state.commit ? 1 : 1 - 0.2 * sign, state);
+            slides.active.style.opacity = state.commit ? 0 : 1;
+            incoming.style.opacity = state.commit ? 1 : 0;
+        },
+        css: function (classNames) {
+            var select = Gallery.selectSlides;
+            return select("gallery-zoom") + "{transition:opacity var(--gallery-duration,0.5s),transform var(--gallery-duration,0.5s);}" +
+                select("gallery-zoom", classNames.active) + "{transform:translateY(-50%);opacity:1;}" +
+                select("gallery-zoom", classNames.previous) + "{transform:translateY(-50%) scale(1.2);opacity:0;}" +
+                select("gallery-zoom", classNames.next) + "{transform:translateY(-50%) scale(0.8);opacity:0;}";
+        },
+
+        /**
+         * Scales an image keeping it centered as the Gallery styles do
+         *
+         * @param {Element} img Image Element
+         * @param {Number} scale Scale
+         * @param {Object} state Effect state
+         */
+        scale: function (img, scale, state) {
+            img.style.transform = (state.vertical ? "" : "translateY(-50%) ") + "scale(" + scale + ")";
+        }
+    }
+};
+
+/**
+ * Gets the selector of the images of the Galleries using a transition effect,
+ * meant for the css Function of the effects
+ *
+ * @public
+ * @param {String} className Class of the effect
+ * @param {String} position Class name of the position of the images, all of them by default
+ * @return {String} Selector
+ */
+Gallery.selectSlides = function (className, position) {
+    return ["img", "video", ".gallery-panorama"].map(function (elm) {
+        return "." + className + " " + elm + (position ? "." + position : "");
+    }).join(",");
+};
+
+/**
+ * Styles of the transition effects added to the document, by their text
+ *
+ * @private
+ */
+Gallery.transitionStyles = {};
+
+/**
+ * Registers a transition effect so the Galleries can use it by its name
+ *
+ * @public
+ * @param {String} name Effect name
+ * @param {Object} effect Effect, see Gallery.transitions
+ */
+Gallery.registerTransition = function (name, effect) {
+    Gallery.transitions[name] = effect;
+};
+
+/**
+ * Renderers painting the Spherical Images (isSpherical) of the Galleries, set one using the
+ * panorama option. A renderer has the following members:
+ *
+ * load {Function} Loads the renderer resources, returns a Promise. When it rejects
+ *     the Spherical Images are painted as regular images
+ * render {Function} Renders a Gallery image into an Element, the Element is reused for other images
+ * dispose {Function} Releases what render created for the image of an Element, receives the Element and the image
+ * isPanning {Function} Optional, tells if the Element is being panned, the images are not swiped meanwhile
+ *
+ * @public
+ */
+Gallery.panoramaRenderers = {
+    oViewer: {
+        cssUrl: null, // Defaults to the oViewer stylesheet in window.resourceDomain
+        scriptUrl: null, // Defaults to the oViewer script in window.resourceDomain
+        loading: null,
+
+        load: function () {
+            var renderer = Gallery.panoramaRenderers.oViewer,
+                domain = window.resourceDomain + "/GlobalResources14/Require/";
+            if (window.oViewer) return Promise.resolve();
+            if (!renderer.loading) {
+                renderer.loading = new Promise(function (resolve, reject) {
+                    var css = document.createElement("link"),
+                        script = document.createElement("script");
+                    css.rel = "stylesheet";
+                    css.href = renderer.cssUrl || domain + "css/pwa/default/0_oViewer.css";
+                    script.src = renderer.scriptUrl || domain + "js/min/modules/oViewer.js";
+                    script.onload = resolve;
+                    script.onerror = function () {
+                        css.parentNode.removeChild(css);
+                        script.parentNode.removeChild(script);
+                        reject(new Error("oViewer could not be loaded from " + script.src));
+                    };
+                    document.head.appendChild(css);
+                    document.head.appendChild(script);
+                }).catch(function (error) {
+                    /** Loads again for the next Gallery */
+                    renderer.loading = null;
+                    throw error;
+                });
+            }
+            return renderer.loading;
+        },
+
+        render: function (elm, image) {
+            if (!elm.oViewerElement) {
+                elm.oViewerElement = oViewer.render(document.createElement("img"), {
+                    width: 0,
+                    height: 0,
+                    container: document.createElement("div")
+                }).element;
+                elm.appendChild(elm.oViewerElement);
+                Gallery.panoramaRenderers.oViewer.followPanning(elm);
+            }
+            elm.oViewerElement.setAttribute("data-src", image.url);
+        },
+
+        dispose: function (elm) {
+            if (elm.oViewerElement) {
+                elm.oViewerElement.removeAttribute("data-src");
+            }
+        },
+
+        isPanning: function (elm) {
+            return !!elm.oViewerPanning;
+        },
+
+        /**
+         * Keeps if the viewer of an Element is being dragged. The viewer pans while it is dragged,
+         * except on its cover, shown until the viewer is started, which can be swiped
+         *
+         * @param {HTMLDivElement} elm Element the viewer is rendered into
+         */
+        followPanning: function (elm) {
+            var pointers = !!window.PointerEvent,
+                end = function () {
+                    elm.oViewerPanning = false;
+                };
+            elm.oViewerElement.addEventListener(pointers ? "pointerdown" : "touchstart", function (event) {
+                if (event.target.closest(".o-viewer-cover")) return;
+                elm.oViewerPanning = true;
+                (pointers ? ["pointerup", "pointercancel"] : ["touchend", "touchcancel"]).forEach(function (eventName) {
+                    document.addEventListener(eventName, end, { once: true });
+                });
+            });
+        }
+    }
+};
+
+/**
+ * Registers a panorama renderer so the Galleries can use it by its name
+ *
+ * @public
+ * @param {String} name Renderer name
+ * @param {Object} renderer Renderer, see Gallery.panoramaRenderers
+ */
+Gallery.registerPanoramaRenderer = function (name, renderer) {
+    Gallery.panoramaRenderers[name] = renderer;
+};
+
+/**
+ * Galleries of the page, a Gallery leaves the list once it is destroyed
+ *
+ * @public
+ */
+Gallery.instances = [];
+
+/**
+ * Amount of Galleries named in the URL by their position, it only grows
+ * so a Gallery created after another is destroyed does not take its name
+ *
+ * @private
+ */
+Gallery.historyCount = 0;
+
+/**
+ * Amount of slide labels created, their ids are unique in the page
+ *
+ * @private
+ */
+Gallery.labelCount = 0;
+
+/**
+ * Gets the Gallery bound to an Element, the context of the Gallery or an Element inside it
+ *
+ * @public
+ * @param {Element} element Element
+ * @return {Gallery} Gallery, undefined if the Element is not in a Gallery
+ */
+Gallery.get = function (element) {
+    var instances = Gallery.instances;
+    for (var node = element; node; node = node.parentNode) {
+        for (var i = 0; i < instances.length; i++) {
+            if (instances[i].context === node) return instances[i];
+        }
+    }
+};
+
+(function () {
+    "use strict";
+
+    var galleryAttr = "data-gallery",
+        galleryQuery = "[" + galleryAttr + "]",
+
+        /**
+         * Options that can be set with data attributes, the other data
+         * attributes of the Element (data-testid) are not Gallery options
+         *
+         * @private
+         */
+        optionKeys = ["duration", "snapBackDuration", "swipeThreshold", "lockMargin", "flickVelocity",
+            "flickMinDistance", "classNames", "loop", "orientation", "transition", "navigation", "autoplay",
+            "autoplayInterval", "autoplayDirection", "preload", "fallback", "skipOnError", "retries", "retryDelay",
+            "zoom", "maxZoom", "doubleTapZoom", "lightbox", "panorama", "direction", "captions", "counter",
+            "history", "historyKey"],
+
+        /**
+         * Reads the value of a data attribute, as JSON when possible. An
+         * attribute without value is true
+         *
+         * @private
+         * @param {String} value Attribute value
+         * @return {Any} Value
+         */
+        parseData = function(value) {
+            if (value === "") return true;
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        },
+
+        /**
+         * Reads the Gallery options of an Element from its data attributes,
+         * data-autoplay-interval="3000" is the autoplayInterval option
+         *
+         * @private
+         * @param {Element} elm Element
+         * @return {Object} Options
+         */
+        readOptions = function(elm) {
+            var options = {};
+            Object.keys(elm.dataset).forEach(function (key) {
+                if (optionKeys.indexOf(key) < 0) return;
+                options[key] = parseData(elm.dataset[key]);
+            });
+            return options;
+        },
+
+        /**
+         * Reads the images of an Element, from its data-images attribute or
+         * from its img and figure children, the figcaption of a figure is the
+         * caption of its image. Only the first image is left in
+         * the Element, it is the one the Gallery starts with
+         *
+         * @private
+         * @param {Element} elm Element
+         * @return {Object[]} Images
+         * @throws {SyntaxError} When the data-images attribute is not valid JSON
+         */
+        readImages = function(elm) {
+            var json = elm.getAttribute("data-images"),
+                items = [].filter.call(elm.children, function (child) {
+                    return child.tagName === "IMG" || child.tagName === "FIGURE";
+                }),
+                images,
+                first;
+
+            if (json) {
+                images = JSON.parse(json).map(function (image) {
+                    return typeof image === "string" ? { url: image } : image;
+                });
+            } else {
+                images = items.map(function (item) {
+                    var img = item.tagName === "IMG" ? item : item.querySelector("img"),
+                        figcaption = item.tagName === "FIGURE" && item.querySelector("figcaption"),
+                        image = img && {
+                            url: img.getAttribute("data-src") || img.getAttribute("src"),
+                            alt: img.getAttribute("alt")
+                        };
+                    if (image && figcaption) {
+                        image.caption = figcaption.textContent.trim();
+                    }
+                    return image;
+                }).filter(Boolean);
+            }
+
+            first = items.length && (items[0].tagName === "IMG" ? items[0] : items[0].querySelector("img"));
+            if (first) {
+                elm.insertBefore(first, items[0]);
+                if (!first.getAttribute("src") && images[0]) {
+                    first.setAttribute("src", images[0].url);
+                }
+            } else if (images[0]) {
+                first = document.createElement("img");
+                first.setAttribute("src", images[0].url);
+                elm.insertBefore(first, elm.firstChild);
+            }
+            items.forEach(function (item) {
+                if (item !== first) {
+                    elm.removeChild(item);
+                }
+            });
+            return images;
+        };
+
+    /**
+     * Creates a Gallery for each Element with the data-gallery attribute in a root Element,
+     * its images and options are read from its markup and data attributes.
+     * The Elements that already have a Gallery are skipped
+     *
+     * @public
+     * @param {Element} root Root Element, by default the document
+     * @param {Object} options Options, observe: true also creates the Galleries of the Elements inserted later
+     * @return {Gallery[]} Created Galleries
+     */
+    Gallery.autoInit = function (root, options) {
+        root = root || document;
+        var elements = [].slice.call(root.querySelectorAll(galleryQuery));
+        if (root.matches && root.matches(galleryQuery)) {
+            elements.unshift(root);
+        }
+        if (options && options.observe) {
+            Gallery.observe(root);
+        }
+        return elements.filter(function (elm) {
+            return !Gallery.instances.some(function (instance) {
+                return instance.context === elm;
+            });
+        }).map(function (elm) {
+            var images;
+
+            /**
+             * An Element with invalid images is skipped, the others still get their Gallery.
+             * Its error is thrown again once they have been created
+             */
+            try {
+                images = readImages(elm);
+            } catch (error) {
+                setTimeout(function () {
+                    throw error;
+                }, 0);
+                return null;
+            }
+            return images.length ? new Gallery(elm, images, readOptions(elm)) : null;
+        }).filter(Boolean);
+    };
+
+    /**
+     * Watches a root Element, creating the Galleries of the
+     * Elements with the data-gallery attribute inserted in it
+     *
+     * @public
+     * @param {Element} root Root Element, by default the document
+     * @return {MutationObserver} Observer, disconnect it to stop watching
+     */
+    Gallery.observe = function (root) {
+        var observer = new MutationObserver(function (mutations) {
+            mutations.forEach(function (mutation) {
+                [].forEach.call(mutation.addedNodes, function (node) {
+                    if (node.nodeType === 1 && node.isConnected) {
+                        Gallery.autoInit(node);
+                    }
+                });
+            });
+        });
+        observer.observe(root || document, {
+            childList: true,
+            subtree: true
+        });
+        return observer;
+    };
+})();